@@ -0,0 +1,62 @@
+// Roles known to the system (same as the User.role enum)
+const ROLES = ['Admin', 'Audit', 'Head', 'User'];
+
+// All permissions with a short description (shown in the permission management API)
+const PERMISSIONS = {
+  'users.read': 'View user accounts',
+  'users.write': 'Create, update, delete, enable/disable users and reset HWID/2FA',
+  'users.features': 'Toggle bot features for users',
+  'features.manage': 'Manage feature flag definitions and team feature defaults',
+  'users.activity.read': 'View login history and active sessions',
+  'teams.read': 'View teams',
+  'teams.write': 'Create, update and delete teams',
+  'stats.report': 'Report stats from a bot session',
+  'stats.read': 'View stats of all users',
+  'stats.adjust': 'Manually adjust stats',
+  'phoneData.read': 'View team members and phone data upload history',
+  'phoneData.upload': 'Upload phone data to users',
+  'blocklist.manage': 'Manage the do-not-contact phone number blocklist',
+  'bots.command': 'Send commands (e.g. shutdown) to bots',
+  'clients.manage': 'Manage the LineAPIBot version policy',
+  'schedules.manage': 'Manage working-hour schedules of teams and users',
+  'status.read': 'View the online status stream',
+  'audit.read': 'View the audit log',
+  'security.manage': 'Manage lockouts, two-factor policy and role permissions',
+  'scope.allTeams': 'Access users and data of every team (without it, access is limited to the own team)'
+};
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  Admin: Object.keys(PERMISSIONS),
+  Audit: [
+    'users.activity.read',
+    'teams.read',
+    'stats.report',
+    'stats.read',
+    'phoneData.read',
+    'audit.read',
+    'scope.allTeams'
+  ],
+  Head: [
+    'teams.read',
+    'stats.report',
+    'stats.read',
+    'phoneData.read',
+    'phoneData.upload'
+  ],
+  User: [
+    'teams.read',
+    'stats.report'
+  ]
+};
+
+// Permissions that can never be removed from a role (prevents locking everyone out)
+const LOCKED_ROLE_PERMISSIONS = {
+  Admin: ['security.manage']
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_ROLE_PERMISSIONS
+};
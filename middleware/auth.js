@@ -1,5 +1,41 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { isTwoFactorRequired } = require('../utils/twoFactorPolicy');
+const { hasPermission } = require('../utils/permissions');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+
+// Endpoints still reachable while a password change is pending
+const PASSWORD_CHANGE_ALLOWED_PATHS = ['/api/auth/change-password', '/api/auth/me', '/api/auth/password-policy'];
+
+// Endpoints still reachable while two-factor enrollment is pending
+const TWO_FACTOR_ENROLLMENT_ALLOWED_PATHS = [...PASSWORD_CHANGE_ALLOWED_PATHS, '/api/auth/2fa/setup', '/api/auth/2fa/enable'];
+
+// Verify an access token and return { user, claims }, or null if the token or its session was revoked
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Special-purpose tokens (e.g. two-factor challenges) are not access tokens
+  if (decoded.purpose) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.userId);
+
+  if (!user || (decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+    return null;
+  }
+
+  if (decoded.sessionId) {
+    const session = await RefreshToken.findById(decoded.sessionId);
+    if (!session || !session.isActive()) {
+      return null;
+    }
+  }
+
+  return { user, claims: decoded };
+};
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -14,17 +50,37 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+    const verified = await verifyAccessToken(token);
     
-    if (!user) {
+    if (!verified) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token - user not found'
+        message: 'Invalid token - user not found or token revoked'
+      });
+    }
+
+    const { user, claims } = verified;
+    
+    if (user.mustChangePassword && !PASSWORD_CHANGE_ALLOWED_PATHS.includes(req.baseUrl + req.path)) {
+      return res.status(403).json({
+        success: false,
+        code: 'PASSWORD_CHANGE_REQUIRED',
+        message: 'Password change required'
+      });
+    }
+
+    if (!user.twoFactorEnabled &&
+        !TWO_FACTOR_ENROLLMENT_ALLOWED_PATHS.includes(req.baseUrl + req.path) &&
+        await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_ENROLLMENT_REQUIRED',
+        message: 'Two-factor authentication enrollment required'
       });
     }
     
-    req.user = { id: user._id, role: user.role };
+    // hwid is the device the session was opened from (LineAPIBot only)
+    req.user = { id: user._id, user: user.user, role: user.role, hwid: claims.hwid || null };
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -35,40 +91,58 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user is admin
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'Admin') {
-    return res.status(403).json({
+// Middleware factory to check that the user's role grants a permission
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    if (!(await hasPermission(req.user.role, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: `Permission required: ${permission}`
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    return res.status(500).json({
       success: false,
-      message: 'Admin access required'
+      message: 'Server error while checking permissions'
     });
   }
-  next();
 };
 
-// Middleware to check if user is admin or audit
-const requireAdminOrAudit = (req, res, next) => {
-  if (req.user.role !== 'Admin' && req.user.role !== 'Audit') {
-    return res.status(403).json({
-      success: false,
-      message: 'Admin or Audit access required'
-    });
-  }
-  next();
+// Generate short-lived JWT access token bound to a login session
+const generateToken = (user, session) => {
+  return jwt.sign(
+    { userId: user._id, tokenVersion: user.tokenVersion || 0, sessionId: session._id, hwid: session.hwid || null },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
+// Generate a short-lived token for the second step of a two-factor login
+const generateChallengeToken = (user, client) => {
   return jwt.sign(
-    { userId },
+    { userId: user._id, purpose: 'two-factor', client },
     process.env.JWT_SECRET,
-    { expiresIn: '24h' }
+    { expiresIn: '5m' }
   );
 };
 
+// Verify a two-factor challenge token and return its payload (throws when invalid or expired)
+const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== 'two-factor') {
+    throw new Error('Invalid challenge token');
+  }
+  return decoded;
+};
+
 module.exports = {
   authenticateToken,
-  requireAdmin,
-  requireAdminOrAudit,
-  generateToken
+  requirePermission,
+  generateToken,
+  verifyAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  ACCESS_TOKEN_EXPIRES_IN
 };
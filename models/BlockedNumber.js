@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Do-not-contact list: numbers here are removed from every phone data upload until they expire
+const blockedNumberSchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    unique: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  // null = blocked until removed
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+blockedNumberSchema.index({ expiresAt: 1 });
+
+const CHUNK_SIZE = 5000;
+
+// Query for entries that are still in effect
+blockedNumberSchema.statics.activeQuery = function(now = new Date()) {
+  return { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+};
+
+// Get the numbers of the list that are currently blocked, as a Set
+blockedNumberSchema.statics.findActiveNumbers = async function(phoneNumbers, now = new Date()) {
+  const blocked = new Set();
+  for (let i = 0; i < phoneNumbers.length; i += CHUNK_SIZE) {
+    const entries = await this.find({
+      phoneNumber: { $in: phoneNumbers.slice(i, i + CHUNK_SIZE) },
+      ...this.activeQuery(now)
+    }).select('phoneNumber').lean();
+    entries.forEach(entry => blocked.add(entry.phoneNumber));
+  }
+  return blocked;
+};
+
+module.exports = mongoose.model('BlockedNumber', blockedNumberSchema);
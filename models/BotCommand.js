@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const eventBus = require('../utils/eventBus');
+
+const COMMAND_TYPES = ['shutdown', 'restart', 'reload-config', 'clear-cache', 'fetch-phone-data'];
+const COMMAND_STATUSES = ['pending', 'delivered', 'acked', 'failed', 'expired', 'cancelled'];
+const OPEN_STATUSES = ['pending', 'delivered'];
+
+const botCommandSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Target user is required']
+  },
+  type: {
+    type: String,
+    enum: COMMAND_TYPES,
+    required: [true, 'Command type is required']
+  },
+  args: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: COMMAND_STATUSES,
+    default: 'pending'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Set when the command was queued by a broadcast
+  batchId: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  deliveryCount: {
+    type: Number,
+    default: 0
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+botCommandSchema.index({ user: 1, status: 1, createdAt: 1 });
+botCommandSchema.index({ status: 1, expiresAt: 1 });
+botCommandSchema.index({ batchId: 1 }, { sparse: true });
+
+const getDefaultTTLMinutes = () => {
+  const minutes = parseInt(process.env.BOT_COMMAND_TTL_MINUTES, 10);
+  return minutes > 0 ? minutes : 60;
+};
+
+// Queue a command for a user
+botCommandSchema.statics.queue = async function(userId, type, { args = null, createdBy = null, expiresInMinutes, batchId = null } = {}) {
+  const ttl = expiresInMinutes > 0 ? expiresInMinutes : getDefaultTTLMinutes();
+  const command = await this.create({
+    user: userId,
+    type,
+    args,
+    createdBy,
+    batchId,
+    expiresAt: new Date(Date.now() + ttl * 60 * 1000)
+  });
+  // Lets connected bots receive the command without waiting for the next heartbeat
+  eventBus.emit('command.queued', { userId: command.user.toString(), commandId: command._id.toString() });
+  return command;
+};
+
+// Mark open commands whose expiry has passed as expired
+botCommandSchema.statics.expireStale = async function(filter = {}) {
+  const now = new Date();
+  return await this.updateMany(
+    { ...filter, status: { $in: OPEN_STATUSES }, expiresAt: { $lte: now } },
+    { status: 'expired', completedAt: now }
+  );
+};
+
+// Get open commands of a user for delivery to the bot.
+// Delivered commands are sent again until the bot acknowledges them or they expire.
+botCommandSchema.statics.deliverOpen = async function(userId) {
+  await this.expireStale({ user: userId });
+
+  const candidates = await this.find({
+    user: userId,
+    status: { $in: OPEN_STATUSES }
+  }).select('_id').sort({ createdAt: 1 });
+
+  // Each command is only marked delivered while it is still open, so an ack, cancel or expiry
+  // that lands in between is not overwritten; those commands are left out of the delivery
+  const now = new Date();
+  const commands = [];
+  for (const candidate of candidates) {
+    const command = await this.findOneAndUpdate(
+      { _id: candidate._id, status: { $in: OPEN_STATUSES }, expiresAt: { $gt: now } },
+      [{
+        $set: {
+          status: 'delivered',
+          deliveryCount: { $add: [{ $ifNull: ['$deliveryCount', 0] }, 1] },
+          deliveredAt: { $ifNull: ['$deliveredAt', now] }
+        }
+      }],
+      { new: true }
+    );
+    if (command) commands.push(command);
+  }
+
+  return commands.map(command => ({
+    id: command._id,
+    type: command.type,
+    args: command.args,
+    expiresAt: command.expiresAt
+  }));
+};
+
+// Get open command types per user ID (used to show pending commands in user listings)
+botCommandSchema.statics.getOpenTypesByUser = async function(userIds) {
+  const commands = await this.find({
+    user: { $in: userIds },
+    status: { $in: OPEN_STATUSES },
+    expiresAt: { $gt: new Date() }
+  }).select('user type');
+
+  const map = new Map();
+  for (const command of commands) {
+    const key = command.user.toString();
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(command.type);
+  }
+  return map;
+};
+
+botCommandSchema.statics.COMMAND_TYPES = COMMAND_TYPES;
+botCommandSchema.statics.COMMAND_STATUSES = COMMAND_STATUSES;
+botCommandSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = mongoose.model('BotCommand', botCommandSchema);
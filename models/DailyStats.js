@@ -37,6 +37,13 @@ const dailyStatsSchema = new mongoose.Schema({
 // Create compound index for efficient querying
 dailyStatsSchema.index({ user: 1, date: -1 });
 
+const STATS_FIELDS = {
+  registration: 'registrationsCount',
+  friend: 'friendsAddedCount',
+  group: 'groupsCreatedCount',
+  message: 'messagesSentCount'
+};
+
 // Static method to increment stats
 dailyStatsSchema.statics.incrementStats = async function(userId, type, count = 1) {
   // Get current time in Bangkok timezone (UTC+7)
@@ -48,23 +55,11 @@ dailyStatsSchema.statics.incrementStats = async function(userId, type, count = 1
   // Set to midnight of Bangkok day
   const today = new Date(bangkokTime.getFullYear(), bangkokTime.getMonth(), bangkokTime.getDate(), 0, 0, 0, 0);
   
-  const updateField = {};
-  switch (type) {
-    case 'registration':
-      updateField.registrationsCount = count;
-      break;
-    case 'friend':
-      updateField.friendsAddedCount = count;
-      break;
-    case 'group':
-      updateField.groupsCreatedCount = count;
-      break;
-    case 'message':
-      updateField.messagesSentCount = count;
-      break;
-    default:
-      throw new Error('Invalid stats type');
+  const field = STATS_FIELDS[type];
+  if (!field) {
+    throw new Error('Invalid stats type');
   }
+  const updateField = { [field]: count };
   
   return await this.findOneAndUpdate(
     { user: userId, date: today },
@@ -73,4 +68,31 @@ dailyStatsSchema.statics.incrementStats = async function(userId, type, count = 1
   );
 };
 
+// Static method for manual adjustments of a given day; the result never goes below zero.
+// Applied as one update so increments from live bots in the meantime are not lost
+dailyStatsSchema.statics.adjustStats = async function(userId, date, type, delta) {
+  const field = STATS_FIELDS[type];
+  if (!field) {
+    throw new Error('Invalid stats type');
+  }
+
+  const now = new Date();
+  const counters = Object.fromEntries(Object.values(STATS_FIELDS).map(name => [name, { $ifNull: [`$${name}`, 0] }]));
+  const before = await this.findOneAndUpdate(
+    { user: userId, date },
+    [
+      { $set: { ...counters, createdAt: { $ifNull: ['$createdAt', now] }, updatedAt: now } },
+      { $set: { [field]: { $max: [0, { $add: [`$${field}`, delta] }] } } }
+    ],
+    { upsert: true, new: false, timestamps: false, setDefaultsOnInsert: false }
+  );
+
+  const previous = before ? before[field] || 0 : 0;
+  const stats = await this.findOne({ user: userId, date });
+
+  return { stats, field, previous, current: Math.max(0, previous + delta) };
+};
+
+dailyStatsSchema.statics.STATS_TYPES = Object.keys(STATS_FIELDS);
+
 module.exports = mongoose.model('DailyStats', dailyStatsSchema);
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const deviceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  hwid: {
+    type: String,
+    required: [true, 'HWID is required'],
+    trim: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters'],
+    default: null
+  },
+  // active: counts toward the device limit
+  // released: unbound by an admin (HWID reset), may bind again
+  // revoked: blocked from logging in to this account
+  status: {
+    type: String,
+    enum: ['active', 'released', 'revoked'],
+    default: 'active'
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastIP: {
+    type: String,
+    default: null
+  },
+  clientVersion: {
+    type: String,
+    default: null
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+deviceSchema.index({ user: 1, hwid: 1 }, { unique: true });
+deviceSchema.index({ hwid: 1, status: 1 });
+
+/**
+ * Get the default device allowance per account
+ */
+deviceSchema.statics.getDefaultMaxDevices = function() {
+  const parsed = parseInt(process.env.MAX_DEVICES_PER_ACCOUNT, 10);
+  return parsed > 0 ? parsed : 1;
+};
+
+// Create a device record for a HWID bound before device tracking existed
+deviceSchema.statics.ensureLegacyDevice = async function(user) {
+  if (!user.hwid) return;
+
+  const exists = await this.exists({ user: user._id, hwid: user.hwid });
+  if (!exists) {
+    await this.create({
+      user: user._id,
+      hwid: user.hwid,
+      firstSeenAt: user.lastLoginAt || new Date(),
+      lastSeenAt: user.lastLoginAt || new Date(),
+      clientVersion: user.clientVersion
+    });
+  }
+};
+
+// Record a login from a device, binding it when needed. Returns { device, bound }.
+deviceSchema.statics.recordLogin = async function(userId, hwid, { ip, clientVersion } = {}) {
+  const now = new Date();
+  let device = await this.findOne({ user: userId, hwid });
+  const bound = !device || device.status !== 'active';
+
+  if (!device) {
+    device = new this({ user: userId, hwid, firstSeenAt: now });
+  }
+
+  device.status = 'active';
+  device.releasedAt = null;
+  device.lastSeenAt = now;
+  device.lastIP = ip || device.lastIP;
+  device.clientVersion = clientVersion || device.clientVersion;
+  await device.save();
+
+  return { device, bound };
+};
+
+module.exports = mongoose.model('Device', deviceSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Built-in LineAPIBot features (previously separate featureXxx fields on User)
+const BUILT_IN_FLAGS = [
+  { key: 'farm', description: 'แสดงเมนู "จัดการไลน์ไก่" ใน LineAPIBot', defaultValue: true },
+  { key: 'board', description: 'แสดงปุ่ม "+เพิ่มบัญชี" ใน LineAPIBot', defaultValue: true },
+  { key: 'localData', description: 'เปิดใช้งาน Local DATA ใน LineAPIBot', defaultValue: false }
+];
+
+const featureFlagSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Flag key is required'],
+    unique: true,
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9_-]{0,49}$/, 'Flag key must start with a letter and contain only letters, digits, "_" or "-"']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  defaultValue: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Create built-in flag definitions that do not exist yet
+featureFlagSchema.statics.ensureBuiltIns = async function() {
+  for (const flag of BUILT_IN_FLAGS) {
+    await this.updateOne(
+      { key: flag.key },
+      { $setOnInsert: flag },
+      { upsert: true }
+    );
+  }
+};
+
+featureFlagSchema.statics.BUILT_IN_KEYS = BUILT_IN_FLAGS.map(flag => flag.key);
+
+module.exports = mongoose.model('FeatureFlag', featureFlagSchema);
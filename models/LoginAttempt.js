@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['user', 'ip'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  lastFailedAt: {
+    type: Date,
+    default: null
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginAttemptSchema.index({ type: 1, key: 1 }, { unique: true });
+loginAttemptSchema.index({ lockedUntil: 1 });
+// ลบประวัติที่ไม่มีการพยายามล็อกอินผิดนานเกินกำหนดออกอัตโนมัติ
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+};
+
+const getPolicy = () => ({
+  delayAfter: readInt(process.env.LOGIN_DELAY_AFTER, 3),
+  maxDelaySeconds: readInt(process.env.LOGIN_MAX_DELAY_SECONDS, 60),
+  maxUserAttempts: readInt(process.env.LOGIN_MAX_ATTEMPTS, 10),
+  maxIpAttempts: readInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 50),
+  lockoutMinutes: readInt(process.env.LOGIN_LOCKOUT_MINUTES, 15)
+});
+
+// Return the first blocking entry for the given keys: { type, key, until, locked } or null
+loginAttemptSchema.statics.findBlock = async function(keys) {
+  const now = new Date();
+  const entries = await this.find({
+    $or: keys.map(({ type, key }) => ({ type, key }))
+  });
+
+  for (const entry of entries) {
+    if (entry.lockedUntil && entry.lockedUntil > now) {
+      return { type: entry.type, key: entry.key, until: entry.lockedUntil, locked: true };
+    }
+    if (entry.nextAttemptAt && entry.nextAttemptAt > now) {
+      return { type: entry.type, key: entry.key, until: entry.nextAttemptAt, locked: false };
+    }
+  }
+
+  return null;
+};
+
+// Record a failed login, applying progressive delay and lockout thresholds.
+// Done in one upsert so concurrent failures neither lose increments nor collide on the unique index
+loginAttemptSchema.statics.registerFailure = async function(type, key, userId = null) {
+  const policy = getPolicy();
+  const now = new Date();
+  const windowMs = policy.lockoutMinutes * 60 * 1000;
+  const maxAttempts = type === 'user' ? policy.maxUserAttempts : policy.maxIpAttempts;
+  const lockExpired = { $and: [{ $ne: [{ $ifNull: ['$lockedUntil', null] }, null] }, { $lte: ['$lockedUntil', now] }] };
+
+  const update = [
+    // Lockout has expired - start counting again
+    {
+      $set: {
+        failedCount: { $cond: [lockExpired, 0, { $ifNull: ['$failedCount', 0] }] },
+        lockedUntil: { $cond: [lockExpired, null, { $ifNull: ['$lockedUntil', null] }] }
+      }
+    },
+    {
+      $set: {
+        failedCount: { $add: ['$failedCount', 1] },
+        lastFailedAt: now,
+        user: userId ? { $literal: new mongoose.Types.ObjectId(userId.toString()) } : { $ifNull: ['$user', null] },
+        nextAttemptAt: { $ifNull: ['$nextAttemptAt', null] },
+        createdAt: { $ifNull: ['$createdAt', now] },
+        updatedAt: now
+      }
+    },
+    {
+      $set: {
+        lockedUntil: {
+          $cond: [{ $gte: ['$failedCount', maxAttempts] }, new Date(now.getTime() + windowMs), '$lockedUntil']
+        },
+        nextAttemptAt: {
+          $cond: [
+            { $gte: ['$failedCount', maxAttempts] },
+            null,
+            {
+              $cond: [
+                { $gte: ['$failedCount', policy.delayAfter] },
+                {
+                  $add: [now, {
+                    $multiply: [{ $min: [{ $pow: [2, { $subtract: ['$failedCount', policy.delayAfter] }] }, policy.maxDelaySeconds] }, 1000]
+                  }]
+                },
+                '$nextAttemptAt'
+              ]
+            }
+          ]
+        }
+      }
+    },
+    { $set: { expiresAt: { $add: [{ $ifNull: ['$lockedUntil', now] }, windowMs] } } }
+  ];
+
+  const options = { upsert: true, new: true, timestamps: false, setDefaultsOnInsert: false };
+  try {
+    return await this.findOneAndUpdate({ type, key }, update, options);
+  } catch (error) {
+    // Two first failures can still race on the upsert; the second one then updates the new entry
+    if (error.code !== 11000) throw error;
+    return await this.findOneAndUpdate({ type, key }, update, options);
+  }
+};
+
+loginAttemptSchema.statics.clear = async function(type, key) {
+  return await this.deleteOne({ type, key });
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const loginEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  username: {
+    type: String,
+    default: null
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  clientType: {
+    type: String,
+    default: null
+  },
+  hwid: {
+    type: String,
+    default: null
+  },
+  clientVersion: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
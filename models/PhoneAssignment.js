@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const getRetentionDays = () => {
+  const days = parseInt(process.env.PHONE_ASSIGNMENT_RETENTION_DAYS, 10);
+  return days > 0 ? days : 90;
+};
+
+// Index of which user received which phone number. Kept after the PhoneData itself is deleted
+// (bots delete their lists after processing) so duplicates can be found across uploads.
+const phoneAssignmentSchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  phoneData: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PhoneData',
+    default: null
+  },
+  uploadHistory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UploadHistory',
+    default: null
+  },
+  fileName: {
+    type: String,
+    default: null
+  },
+  assignedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+phoneAssignmentSchema.index({ phoneNumber: 1, assignedAt: -1 });
+phoneAssignmentSchema.index({ phoneData: 1 });
+// ลบข้อมูลที่เก่ากว่าระยะเวลาที่เก็บไว้ออกอัตโนมัติ
+phoneAssignmentSchema.index({ assignedAt: 1 }, { expireAfterSeconds: getRetentionDays() * 24 * 60 * 60 });
+
+const CHUNK_SIZE = 5000;
+
+// Add every number of a stored upload to the index
+phoneAssignmentSchema.statics.recordUpload = async function(phoneData, uploadHistoryId = null) {
+  for (let i = 0; i < phoneData.phoneNumbers.length; i += CHUNK_SIZE) {
+    await this.insertMany(phoneData.phoneNumbers.slice(i, i + CHUNK_SIZE).map(phoneNumber => ({
+      phoneNumber,
+      targetUser: phoneData.targetUser,
+      uploadedBy: phoneData.uploadedBy,
+      phoneData: phoneData._id,
+      uploadHistory: uploadHistoryId,
+      fileName: phoneData.fileName,
+      assignedAt: phoneData.uploadedAt
+    })), { ordered: false });
+  }
+};
+
+// Get assignments of the given numbers since a date: Map of phone number -> assignments (newest first)
+phoneAssignmentSchema.statics.findByNumbers = async function(phoneNumbers, since) {
+  const byNumber = new Map();
+  for (let i = 0; i < phoneNumbers.length; i += CHUNK_SIZE) {
+    const assignments = await this.find({
+      phoneNumber: { $in: phoneNumbers.slice(i, i + CHUNK_SIZE) },
+      assignedAt: { $gte: since }
+    })
+      .select('phoneNumber targetUser assignedAt fileName')
+      .sort({ assignedAt: -1 })
+      .lean();
+
+    for (const assignment of assignments) {
+      if (!byNumber.has(assignment.phoneNumber)) byNumber.set(assignment.phoneNumber, []);
+      byNumber.get(assignment.phoneNumber).push(assignment);
+    }
+  }
+  return byNumber;
+};
+
+phoneAssignmentSchema.statics.getRetentionDays = getRetentionDays;
+
+module.exports = mongoose.model('PhoneAssignment', phoneAssignmentSchema);
@@ -24,6 +24,11 @@ const phoneDataSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UploadBatch',
+    default: null
+  },
   isDownloaded: {
     type: Boolean,
     default: false
@@ -50,5 +55,11 @@ const phoneDataSchema = new mongoose.Schema({
 
 phoneDataSchema.index({ targetUser: 1, isDownloaded: 1, isDeleted: 1 });
 phoneDataSchema.index({ uploadedBy: 1 });
+phoneDataSchema.index({ batch: 1 });
+
+// One list is stored in a single document, which MongoDB limits to 16 MB
+phoneDataSchema.statics.MAX_PHONE_NUMBERS = parseInt(process.env.PHONE_LIST_MAX_NUMBERS, 10) > 0
+  ? parseInt(process.env.PHONE_LIST_MAX_NUMBERS, 10)
+  : 500000;
 
 module.exports = mongoose.model('PhoneData', phoneDataSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const RESULTS = ['friend_added', 'no_account', 'blocked', 'rate_limited', 'failed'];
+
+// Result LineAPIBot reported for one number of an upload. Linked to the upload history,
+// which stays after the bot deletes the phone data itself
+const phoneOutcomeSchema = new mongoose.Schema({
+  uploadHistory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UploadHistory',
+    required: true
+  },
+  phoneData: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PhoneData',
+    default: null
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  uploadedAt: {
+    type: Date,
+    default: null
+  },
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+  result: {
+    type: String,
+    enum: RESULTS,
+    required: true
+  },
+  reportedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A number has one result per upload; a later report (e.g. after a rate limit) replaces it
+phoneOutcomeSchema.index({ uploadHistory: 1, phoneNumber: 1 }, { unique: true });
+phoneOutcomeSchema.index({ uploadedBy: 1, uploadedAt: -1 });
+phoneOutcomeSchema.index({ targetUser: 1, uploadedAt: -1 });
+
+phoneOutcomeSchema.statics.RESULTS = RESULTS;
+
+module.exports = mongoose.model('PhoneOutcome', phoneOutcomeSchema);
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const eventBus = require('../utils/eventBus');
+
+// Each document is one login session; the refresh token hash is rotated in place on every refresh
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdByIP: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedIP: {
+    type: String,
+    default: null
+  },
+  clientType: {
+    type: String,
+    default: null
+  },
+  hwid: {
+    type: String,
+    default: null
+  },
+  clientVersion: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+// ลบ token ที่หมดอายุออกอัตโนมัติ
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getRefreshTokenTTL = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10);
+  return (days > 0 ? days : 30) * 24 * 60 * 60 * 1000;
+};
+
+const generateRawToken = () => crypto.randomBytes(48).toString('hex');
+
+// Create a refresh token for a user. Only the hash is stored; the raw token is returned once.
+refreshTokenSchema.statics.issue = async function(userId, meta = {}) {
+  const token = generateRawToken();
+  const doc = await this.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + getRefreshTokenTTL()),
+    createdByIP: meta.ip || null,
+    lastUsedIP: meta.ip || null,
+    clientType: meta.clientType || null,
+    hwid: meta.hwid || null,
+    clientVersion: meta.clientVersion || null
+  });
+  return { token, doc };
+};
+
+// Replace the token of this session with a new one and extend its expiry
+refreshTokenSchema.methods.rotate = async function(meta = {}) {
+  const token = generateRawToken();
+  this.tokenHash = hashToken(token);
+  this.expiresAt = new Date(Date.now() + getRefreshTokenTTL());
+  this.lastUsedAt = new Date();
+  this.lastUsedIP = meta.ip || this.lastUsedIP;
+  await this.save();
+  return token;
+};
+
+// Open status streams of the user re-check their token when one of its sessions is revoked
+refreshTokenSchema.pre('save', function(next) {
+  this.$locals.revoked = !this.isNew && this.isModified('revokedAt') && Boolean(this.revokedAt);
+  next();
+});
+
+refreshTokenSchema.post('save', function(doc) {
+  if (doc.$locals.revoked) {
+    doc.$locals.revoked = false;
+    eventBus.emit('session.revoked', { userId: doc.user.toString() });
+  }
+});
+
+refreshTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Find a refresh token that is neither revoked nor expired
+refreshTokenSchema.statics.findActive = async function(token) {
+  if (!token || typeof token !== 'string') return null;
+  return await this.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+refreshTokenSchema.statics.revokeAllForUser = async function(userId) {
+  const result = await this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  eventBus.emit('session.revoked', { userId: userId.toString() });
+  return result;
+};
+
+// Never expose the token hash
+refreshTokenSchema.methods.toJSON = function() {
+  const sessionObject = this.toObject();
+  delete sessionObject.tokenHash;
+  return sessionObject;
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Settings are read on hot paths (e.g. every authenticated request), so keep a short in-process cache
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const setting = await this.findOne({ key });
+  const value = setting && setting.value !== null && setting.value !== undefined ? setting.value : defaultValue;
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+settingSchema.statics.setValue = async function(key, value, updatedBy = null) {
+  const setting = await this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  cache.delete(key);
+  return setting;
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -14,6 +14,12 @@ const teamSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Description cannot exceed 500 characters']
   },
+  // Team-wide feature flag overrides (key -> enabled)
+  featureFlags: {
+    type: Map,
+    of: Boolean,
+    default: {}
+  },
   createdAt: {
     type: Date,
     default: Date.now
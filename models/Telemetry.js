@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TELEMETRY_RETENTION_DAYS, 10);
+  return days > 0 ? days : 7;
+};
+
+// One sample per heartbeat that carried telemetry
+const telemetrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  hwid: {
+    type: String,
+    default: null
+  },
+  currentTask: {
+    type: String,
+    default: null
+  },
+  accountsLoaded: {
+    type: Number,
+    default: null
+  },
+  errorCount: {
+    type: Number,
+    default: null
+  },
+  cpuPercent: {
+    type: Number,
+    default: null
+  },
+  memoryMB: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+telemetrySchema.index({ user: 1, createdAt: -1 });
+// ลบข้อมูลเก่ากว่าระยะเวลาที่กำหนดออกอัตโนมัติ
+telemetrySchema.index({ createdAt: 1 }, { expireAfterSeconds: getRetentionDays() * 24 * 60 * 60 });
+
+const readCount = (value) => {
+  const number = Number(value);
+  return value !== null && value !== '' && Number.isFinite(number) && number >= 0 ? Math.floor(number) : null;
+};
+
+const readMeasure = (value, max) => {
+  const number = Number(value);
+  return value !== null && value !== '' && Number.isFinite(number) && number >= 0 ? Math.min(number, max) : null;
+};
+
+// Pick known telemetry fields from a heartbeat body. Returns null when none were sent.
+telemetrySchema.statics.fromHeartbeat = function(payload = {}) {
+  const sample = {
+    currentTask: typeof payload.currentTask === 'string' ? payload.currentTask.substring(0, 200) : null,
+    accountsLoaded: readCount(payload.accountsLoaded),
+    errorCount: readCount(payload.errorCount),
+    cpuPercent: readMeasure(payload.cpuPercent, 100),
+    memoryMB: readMeasure(payload.memoryMB, 1024 * 1024)
+  };
+
+  return Object.values(sample).some(value => value !== null) ? sample : null;
+};
+
+telemetrySchema.statics.getRetentionDays = getRetentionDays;
+
+module.exports = mongoose.model('Telemetry', telemetrySchema);
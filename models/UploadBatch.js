@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const STRATEGIES = ['even', 'round-robin', 'weighted'];
+
+// One phone list split across several users; each member gets its own PhoneData and UploadHistory
+const uploadBatchSchema = new mongoose.Schema({
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Uploader is required']
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  strategy: {
+    type: String,
+    enum: STRATEGIES,
+    required: true
+  },
+  weightBy: {
+    type: String,
+    default: null
+  },
+  fileName: {
+    type: String,
+    default: null
+  },
+  totalCount: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    phoneData: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PhoneData',
+      default: null
+    },
+    uploadHistory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'UploadHistory',
+      default: null
+    },
+    count: {
+      type: Number,
+      default: 0
+    },
+    weight: {
+      type: Number,
+      default: null
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'rolledBack'],
+    default: 'active'
+  },
+  rolledBackAt: {
+    type: Date,
+    default: null
+  },
+  rolledBackBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+uploadBatchSchema.index({ uploadedBy: 1, createdAt: -1 });
+uploadBatchSchema.index({ 'members.user': 1 });
+
+uploadBatchSchema.statics.STRATEGIES = STRATEGIES;
+
+module.exports = mongoose.model('UploadBatch', uploadBatchSchema);
@@ -25,6 +25,11 @@ const uploadHistorySchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UploadBatch',
+    default: null
+  },
   isDownloaded: {
     type: Boolean,
     default: false
@@ -51,5 +56,6 @@ const uploadHistorySchema = new mongoose.Schema({
 
 uploadHistorySchema.index({ targetUser: 1 });
 uploadHistorySchema.index({ uploadedBy: 1 });
+uploadHistorySchema.index({ batch: 1 });
 
 module.exports = mongoose.model('UploadHistory', uploadHistorySchema);
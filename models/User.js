@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const RefreshToken = require('./RefreshToken');
+const { getPasswordPolicy } = require('../utils/passwordPolicy');
 
 const userSchema = new mongoose.Schema({
   user: {
@@ -42,6 +44,11 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  maxDevices: {
+    type: Number,
+    min: [1, 'maxDevices must be at least 1'],
+    default: null
+  },
   lastHeartbeatAt: {
     type: Date,
     default: null
@@ -66,27 +73,73 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
-  featureFarm: {
-    type: Boolean,
-    default: true
+  // Per-user feature flag overrides (key -> enabled); flags not listed fall back to team/default
+  featureFlags: {
+    type: Map,
+    of: Boolean,
+    default: {}
   },
-  featureBoard: {
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  mustChangePassword: {
     type: Boolean,
-    default: true
+    default: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  passwordHistory: {
+    type: [String],
+    default: []
   },
-  featureLocalData: {
+  twoFactorEnabled: {
     type: Boolean,
     default: false
   },
-  pendingCommand: {
+  twoFactorSecret: {
     type: String,
-    enum: ['shutdown', null],
+    default: null
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    default: null
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: []
+  },
+  twoFactorLastStep: {
+    type: Number,
     default: null
   }
 }, {
   timestamps: true
 });
 
+// Revoke issued tokens when password or role changes, or when the account is disabled
+userSchema.pre('save', function(next) {
+  if (this.isNew) {
+    return next();
+  }
+
+  const disabled = this.isModified('enabled') && this.enabled === false;
+  if (this.isModified('password') || this.isModified('role') || disabled) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+    this.$locals.tokensRevoked = true;
+  }
+  next();
+});
+
+userSchema.post('save', async function(doc) {
+  if (doc.$locals.tokensRevoked) {
+    doc.$locals.tokensRevoked = false;
+    await RefreshToken.revokeAllForUser(doc._id);
+  }
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
@@ -96,6 +149,11 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    this.passwordChangedAt = new Date();
+
+    // Keep recent hashes (including the current one) for the reuse check
+    const { historySize } = getPasswordPolicy();
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])].slice(0, Math.max(historySize, 1));
     next();
   } catch (error) {
     next(error);
@@ -107,10 +165,30 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check whether a candidate password matches the current or a recently used password
+userSchema.methods.isPasswordReused = async function(candidatePassword) {
+  const { historySize } = getPasswordPolicy();
+  if (historySize === 0) return false;
+
+  const hashes = [this.password, ...(this.passwordHistory || []).slice(0, historySize)];
+  for (const hash of new Set(hashes)) {
+    if (hash && await bcrypt.compare(candidatePassword, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
-  const userObject = this.toObject();
+  const userObject = this.toObject({ flattenMaps: true });
   delete userObject.password;
+  delete userObject.tokenVersion;
+  delete userObject.passwordHistory;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorPendingSecret;
+  delete userObject.twoFactorRecoveryCodes;
+  delete userObject.twoFactorLastStep;
   return userObject;
 };
 
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A working window in Bangkok time. end <= start means the window runs past midnight.
+const windowSchema = new mongoose.Schema({
+  days: {
+    type: [Number],
+    validate: {
+      validator: (days) => days.length > 0 && days.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+      message: 'days must contain weekday numbers 0 (Sunday) - 6 (Saturday)'
+    }
+  },
+  start: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'start must be HH:mm']
+  },
+  end: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'end must be HH:mm']
+  }
+}, { _id: false });
+
+// วันหยุด - ไม่อนุญาตให้ทำงานทั้งวัน (ตามเวลากรุงเทพฯ)
+const holidaySchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: true,
+    match: [DATE_PATTERN, 'date must be YYYY-MM-DD']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Holiday note cannot exceed 200 characters'],
+    default: ''
+  }
+}, { _id: false });
+
+// Working-hour schedule of a team or a single user (a user schedule takes precedence over the team one)
+const workScheduleSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['team', 'user'],
+    required: [true, 'Scope is required']
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  windows: {
+    type: [windowSchema],
+    default: []
+  },
+  holidays: {
+    type: [holidaySchema],
+    default: []
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One schedule per team and per user
+workScheduleSchema.index({ team: 1 }, { unique: true, partialFilterExpression: { scope: 'team' } });
+workScheduleSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { scope: 'user' } });
+
+workScheduleSchema.statics.TIME_PATTERN = TIME_PATTERN;
+workScheduleSchema.statics.DATE_PATTERN = DATE_PATTERN;
+
+module.exports = mongoose.model('WorkSchedule', workScheduleSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { ONLINE_THRESHOLD_SECONDS } = require('../utils/presence');
+
+// One continuous online period of a bot (from the first heartbeat until it goes offline)
+const workSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Team at the time the session started, so reports stay correct after a user changes team
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  hwid: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  lastHeartbeatAt: {
+    type: Date,
+    required: true
+  },
+  // null while the bot is still online
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  heartbeatCount: {
+    type: Number,
+    default: 1
+  },
+  durationSeconds: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+workSessionSchema.index({ user: 1, startedAt: -1 });
+workSessionSchema.index({ team: 1, startedAt: -1 });
+workSessionSchema.index({ endedAt: 1, lastHeartbeatAt: 1 });
+
+// The session ends at its last heartbeat
+const closeFields = (session) => ({
+  endedAt: session.lastHeartbeatAt,
+  durationSeconds: Math.max(Math.round((session.lastHeartbeatAt - session.startedAt) / 1000), 0)
+});
+
+// End this session at its last heartbeat
+workSessionSchema.methods.close = async function() {
+  Object.assign(this, closeFields(this));
+  await this.save();
+};
+
+// Seconds from startedAt to the given time, for aggregation pipeline updates
+const durationSince = (time) => ({
+  $max: [{ $round: [{ $divide: [{ $subtract: [time, '$startedAt'] }, 1000] }, 0] }, 0]
+});
+
+// Record a heartbeat: extend the open session, or close it and start a new one when the bot was offline.
+// The open session is extended or created in one atomic upsert so parallel heartbeats (HTTP and WebSocket)
+// cannot open two sessions for the same user.
+workSessionSchema.statics.recordHeartbeat = async function(user, { now = new Date(), startNew = false, hwid = null } = {}) {
+  if (startNew) {
+    await this.updateMany(
+      { user: user._id, endedAt: null },
+      [
+        { $set: { endedAt: '$lastHeartbeatAt', updatedAt: now } },
+        { $set: { durationSeconds: durationSince('$lastHeartbeatAt') } }
+      ],
+      { timestamps: false }
+    );
+  }
+
+  // No open session while the user is still online (e.g. right after this feature was deployed) - continue from onlineSince
+  const continuing = !startNew && user.onlineSince;
+
+  return await this.findOneAndUpdate(
+    { user: user._id, endedAt: null },
+    [
+      {
+        $set: {
+          team: { $ifNull: ['$team', user.team ? (user.team._id || user.team) : null] },
+          hwid: { $ifNull: ['$hwid', hwid] },
+          startedAt: { $ifNull: ['$startedAt', continuing ? user.onlineSince : now] },
+          lastHeartbeatAt: now,
+          heartbeatCount: {
+            $ifNull: [{ $add: ['$heartbeatCount', 1] }, continuing ? (user.heartbeatCount || 0) + 1 : 1]
+          },
+          createdAt: { $ifNull: ['$createdAt', now] },
+          updatedAt: now
+        }
+      },
+      { $set: { durationSeconds: durationSince(now) } }
+    ],
+    { upsert: true, new: true, sort: { startedAt: -1 }, timestamps: false, setDefaultsOnInsert: false }
+  );
+};
+
+// Close open sessions whose bot stopped sending heartbeats. Returns the closed sessions.
+workSessionSchema.statics.closeStale = async function(now = new Date()) {
+  const cutoff = new Date(now.getTime() - ONLINE_THRESHOLD_SECONDS * 1000);
+  const stale = await this.find({ endedAt: null, lastHeartbeatAt: { $lte: cutoff } });
+
+  for (const session of stale) {
+    await session.close();
+  }
+  return stale;
+};
+
+module.exports = mongoose.model('WorkSession', workSessionSchema);
@@ -0,0 +1,109 @@
+const express = require('express');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const WorkSession = require('../models/WorkSession');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getTeamScope, isUserInScope } = require('../utils/teamScope');
+const { resolveDateRange, buildDailyAttendance } = require('../utils/attendance');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Sessions that overlap the range (open sessions count until their last heartbeat)
+const overlapQuery = ({ from, to }) => ({
+  startedAt: { $lt: to },
+  $or: [
+    { endedAt: { $gt: from } },
+    { endedAt: null, lastHeartbeatAt: { $gte: from } }
+  ]
+});
+
+// Daily online hours of a single user
+router.get('/users/:userId', requirePermission('stats.read'), async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, message: range.error });
+    }
+
+    const user = await User.findById(req.params.userId).populate('team', 'name');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (!isUserInScope(await getTeamScope(req), user)) {
+      return res.status(403).json({ success: false, message: 'Access denied. User is not in your team.' });
+    }
+
+    const sessions = await WorkSession.find({ user: user._id, ...overlapQuery(range) }).sort({ startedAt: 1 });
+
+    res.json({
+      success: true,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      user: {
+        id: user._id,
+        user: user.user,
+        team: user.team ? { id: user.team._id, name: user.team.name } : null
+      },
+      ...buildDailyAttendance(sessions, range),
+      sessions
+    });
+  } catch (error) {
+    console.error('Get user attendance error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching attendance' });
+  }
+});
+
+// Daily online hours of every member of a team (by the team the user was in when the session started)
+router.get('/teams/:teamId', requirePermission('stats.read'), async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, message: range.error });
+    }
+
+    const team = await Team.findById(req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ success: false, message: 'Team not found' });
+    }
+    const scope = await getTeamScope(req);
+    if (scope && (!scope.teamId || scope.teamId.toString() !== team._id.toString())) {
+      return res.status(403).json({ success: false, message: 'Access denied. Team is not your team.' });
+    }
+
+    const [sessions, members] = await Promise.all([
+      WorkSession.find({ team: team._id, ...overlapQuery(range) }).sort({ startedAt: 1 }),
+      User.find({ team: team._id }).select('user')
+    ]);
+
+    // Current members plus users who worked for the team during the range
+    const memberIds = new Set(members.map(member => member._id.toString()));
+    const formerIds = [...new Set(sessions.map(session => session.user.toString()))].filter(id => !memberIds.has(id));
+    const formerMembers = formerIds.length > 0 ? await User.find({ _id: { $in: formerIds } }).select('user') : [];
+
+    const users = [...members, ...formerMembers].map(member => {
+      const userSessions = sessions.filter(session => session.user.toString() === member._id.toString());
+      return {
+        id: member._id,
+        user: member.user,
+        isMember: memberIds.has(member._id.toString()),
+        ...buildDailyAttendance(userSessions, range)
+      };
+    });
+
+    res.json({
+      success: true,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      team: { id: team._id, name: team.name },
+      ...buildDailyAttendance(sessions, range),
+      users: users.sort((a, b) => b.totalSeconds - a.totalSeconds)
+    });
+  } catch (error) {
+    console.error('Get team attendance error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching attendance' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Get audit log entries with filters and pagination
+router.get('/', requirePermission('audit.read'), async (req, res) => {
+  try {
+    const { actor, action, targetType, targetId, startDate, endDate } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const query = {};
+
+    if (actor) {
+      if (!mongoose.Types.ObjectId.isValid(actor)) {
+        return res.status(400).json({ success: false, message: 'Invalid actor ID' });
+      }
+      query.actor = actor;
+    }
+    if (action) {
+      // Allow prefix filters such as "user." to match every user action
+      query.action = action.endsWith('.') ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } : action;
+    }
+    if (targetType) {
+      query.targetType = targetType;
+    }
+    if (targetId) {
+      if (!mongoose.Types.ObjectId.isValid(targetId)) {
+        return res.status(400).json({ success: false, message: 'Invalid target ID' });
+      }
+      query.targetId = targetId;
+    }
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) {
+        const parts = startDate.split('-');
+        const start = new Date(parseInt(parts[0]), parseInt(parts[1]) - 1, parseInt(parts[2]), 0, 0, 0, 0);
+        query.createdAt.$gte = start;
+      }
+      if (endDate) {
+        const parts = endDate.split('-');
+        const end = new Date(parseInt(parts[0]), parseInt(parts[1]) - 1, parseInt(parts[2]), 23, 59, 59, 999);
+        query.createdAt.$lte = end;
+      }
+    }
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'user role')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit logs'
+    });
+  }
+});
+
+module.exports = router;
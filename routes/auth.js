@@ -1,10 +1,285 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken, authenticateToken } = require('../middleware/auth');
+const RefreshToken = require('../models/RefreshToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginEvent = require('../models/LoginEvent');
+const Device = require('../models/Device');
+const BotCommand = require('../models/BotCommand');
+const {
+  generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  authenticateToken,
+  requirePermission,
+  ACCESS_TOKEN_EXPIRES_IN
+} = require('../middleware/auth');
+const { getClientIP } = require('../utils/requestHelper');
+const { toSnapshot, recordAudit } = require('../utils/auditLogger');
+const { getPasswordPolicy, passwordPolicyValidator } = require('../utils/passwordPolicy');
+const { generateSecret, verifyCode, buildOtpAuthUrl, generateRecoveryCodes, hashRecoveryCode } = require('../utils/totp');
+const {
+  getTwoFactorRequiredRoles,
+  setTwoFactorRequiredRoles,
+  isTwoFactorRequired,
+  verifySecondFactor
+} = require('../utils/twoFactorPolicy');
+const { resolveFeatureFlags, toLegacyFeatureFields } = require('../utils/featureFlags');
+const { getVersionPolicy, checkClientVersion, buildUpdateInfo } = require('../utils/versionPolicy');
+const { getEffectiveSchedule, isWithinSchedule } = require('../utils/workSchedule');
+const { publishUserStatus } = require('../utils/statusStream');
 
 const router = express.Router();
 
+const getClientInfo = (req) => ({
+  clientType: req.headers['x-client-type'] || null,
+  hwid: typeof req.body.hwid === 'string' ? req.body.hwid : null,
+  clientVersion: typeof req.body.clientVersion === 'string' ? req.body.clientVersion : null
+});
+
+// Append an entry to the login history. Failures are logged and never break the login.
+const recordLoginEvent = async (req, { user = null, username, success, reason = null, session = null, client = getClientInfo(req) }) => {
+  try {
+    await LoginEvent.create({
+      user: user ? user._id : null,
+      username: username != null ? String(username) : null,
+      success,
+      reason,
+      ip: getClientIP(req),
+      clientType: client.clientType,
+      hwid: client.hwid,
+      clientVersion: client.clientVersion,
+      userAgent: req.headers['user-agent'] || null,
+      session
+    });
+  } catch (error) {
+    console.error('Login event error:', error);
+  }
+};
+
+// Brute-force protection: reply 429 while the username or IP is delayed or locked
+const rejectIfThrottled = async (req, res, username) => {
+  const block = await LoginAttempt.findBlock([
+    { type: 'user', key: String(username) },
+    { type: 'ip', key: getClientIP(req) }
+  ]);
+  if (!block) {
+    return false;
+  }
+
+  const retryAfter = Math.max(1, Math.ceil((block.until - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  await recordLoginEvent(req, { username, success: false, reason: block.locked ? 'locked' : 'throttled' });
+  res.status(429).json({
+    success: false,
+    message: block.locked
+      ? 'Too many failed login attempts. Account is temporarily locked'
+      : 'Too many failed login attempts. Please wait before trying again',
+    locked: block.locked,
+    retryAfter
+  });
+  return true;
+};
+
+const registerLoginFailure = async (req, user, username, reason) => {
+  await Promise.all([
+    LoginAttempt.registerFailure('user', String(username), user ? user._id : null),
+    LoginAttempt.registerFailure('ip', getClientIP(req)),
+    recordLoginEvent(req, { user, username, success: false, reason })
+  ]);
+};
+
+// Apply LineAPIBot rules (disabled account, client version, working hours, HWID binding) to the user document.
+// Returns { status, reason, message, details } when the login must be refused, otherwise null.
+const applyBotLoginRules = async (foundUser, { clientType, hwid, clientVersion }) => {
+  // For LineAdmin Frontend and LineDaily, skip HWID check
+  if (clientType !== 'LineAPIBot') {
+    return null;
+  }
+
+  // Block LineAPIBot login when account is disabled
+  if (foundUser.enabled === false) {
+    return {
+      status: 403,
+      reason: 'disabled',
+      message: 'บัญชีนี้ถูกปิดการใช้งาน ไม่สามารถล็อกอินได้'
+    };
+  }
+
+  // Refuse versions that are blocked or older than the supported minimum
+  const versionPolicy = await getVersionPolicy();
+  const versionCheck = checkClientVersion(clientVersion, versionPolicy);
+  if (!versionCheck.allowed) {
+    return {
+      status: 426,
+      reason: versionCheck.reason,
+      message: versionCheck.reason === 'version_blocked'
+        ? `LineAPIBot เวอร์ชัน ${clientVersion} ถูกระงับการใช้งาน กรุณาอัปเดตเป็นเวอร์ชันล่าสุด`
+        : `LineAPIBot เวอร์ชันนี้ไม่รองรับแล้ว กรุณาอัปเดตเป็นเวอร์ชัน ${versionPolicy.minimumVersion} ขึ้นไป`,
+      details: {
+        code: 'UPDATE_REQUIRED',
+        update: buildUpdateInfo(versionPolicy)
+      }
+    };
+  }
+
+  // Refuse logins outside the working hours of the user or team
+  if (!isWithinSchedule(await getEffectiveSchedule(foundUser))) {
+    return {
+      status: 403,
+      reason: 'outside_schedule',
+      message: 'อยู่นอกเวลาทำงานที่กำหนด ไม่สามารถล็อกอินได้',
+      details: { code: 'OUTSIDE_SCHEDULE' }
+    };
+  }
+
+  await Device.ensureLegacyDevice(foundUser);
+  const activeDevices = await Device.find({ user: foundUser._id, status: 'active' });
+
+  if (hwid) {
+    const knownDevice = await Device.findOne({ user: foundUser._id, hwid });
+    if (knownDevice && knownDevice.status === 'revoked') {
+      return {
+        status: 403,
+        reason: 'device_revoked',
+        message: 'เครื่องนี้ถูกยกเลิกสิทธิ์การใช้งานบัญชีนี้แล้ว'
+      };
+    }
+
+    // ตรวจสอบว่าบัญชีนี้ผูกเครื่องครบจำนวนที่อนุญาตแล้วหรือไม่
+    const maxDevices = foundUser.maxDevices || Device.getDefaultMaxDevices();
+    const isActiveDevice = activeDevices.some(device => device.hwid === hwid);
+    if (!isActiveDevice && activeDevices.length >= maxDevices) {
+      return {
+        status: 403,
+        reason: 'hwid_mismatch',
+        message: 'บัญชีนี้ถูกผูกกับเครื่องอื่นแล้ว ไม่สามารถใช้งานได้'
+      };
+    }
+    
+    // ตรวจสอบว่า HWID นี้ถูกใช้โดยบัญชีอื่นหรือไม่
+    const otherDevice = await Device.findOne({
+      hwid,
+      status: 'active',
+      user: { $ne: foundUser._id }
+    }).populate('user', 'user');
+    const existingUserWithHwid = otherDevice && otherDevice.user
+      ? otherDevice.user
+      : await User.findOne({ hwid: hwid, _id: { $ne: foundUser._id } });
+    
+    if (existingUserWithHwid) {
+      return {
+        status: 403,
+        reason: 'hwid_in_use',
+        message: `HWID นี้ถูกใช้งานโดยบัญชีอื่นแล้ว ไม่สามารถใช้งานได้ (ซ้ำกับ User: ${existingUserWithHwid.user})`
+      };
+    }
+    
+    // hwid on the user is the device currently in use; the binding itself is stored on completeLogin
+    foundUser.hwid = hwid;
+  } else if (activeDevices.length > 0) {
+    return {
+      status: 400,
+      reason: 'hwid_required',
+      message: 'HWID is required for this account'
+    };
+  }
+  
+  if (clientVersion) {
+    foundUser.clientVersion = clientVersion;
+  }
+
+  return null;
+};
+
+// Issue a new session for a fully authenticated user and send the login response
+const completeLogin = async (req, res, foundUser, client) => {
+  const userIP = getClientIP(req);
+
+  foundUser.lastLoginAt = new Date();
+  foundUser.lastLoginIP = userIP;
+  await foundUser.save();
+
+  if (client.clientType === 'LineAPIBot' && client.hwid) {
+    const { device, bound } = await Device.recordLogin(foundUser._id, client.hwid, {
+      ip: userIP,
+      clientVersion: client.clientVersion
+    });
+    // A new binding means the account started running on another machine
+    if (bound) {
+      await recordAudit(req, {
+        action: 'device.bind',
+        targetType: 'User',
+        target: foundUser,
+        targetName: foundUser.user,
+        actor: foundUser,
+        details: { device: device._id, hwid: device.hwid }
+      });
+    }
+  }
+
+  // Populate team before sending response
+  await foundUser.populate('team', 'name');
+
+  const { token: refreshToken, doc: session } = await RefreshToken.issue(foundUser._id, {
+    ip: userIP,
+    ...client
+  });
+  const token = generateToken(foundUser, session);
+  await recordLoginEvent(req, { user: foundUser, username: foundUser.user, success: true, session: session._id, client });
+
+  const twoFactorRequired = await isTwoFactorRequired(foundUser);
+  const { flags } = await resolveFeatureFlags(foundUser);
+
+  const response = {
+    success: true,
+    message: 'Login successful',
+    token,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    mustChangePassword: foundUser.mustChangePassword === true,
+    twoFactor: {
+      enabled: foundUser.twoFactorEnabled === true,
+      required: twoFactorRequired,
+      enrollmentRequired: twoFactorRequired && !foundUser.twoFactorEnabled
+    },
+    user: {
+      id: foundUser._id,
+      user: foundUser.user,
+      role: foundUser.role,
+      team: foundUser.team ? {
+        id: foundUser.team._id,
+        name: foundUser.team.name
+      } : null,
+      hwid: foundUser.hwid,
+      features: flags,
+      ...toLegacyFeatureFields(flags),
+      mustChangePassword: foundUser.mustChangePassword === true
+    }
+  };
+
+  // Deliver queued commands (for LineAPIBot client only)
+  if (client.clientType === 'LineAPIBot') {
+    const versionPolicy = await getVersionPolicy();
+    if (checkClientVersion(client.clientVersion, versionPolicy).updateAvailable) {
+      response.updateAvailable = true;
+      response.update = buildUpdateInfo(versionPolicy);
+    }
+
+    const commands = await BotCommand.deliverOpen(foundUser._id);
+    if (commands.length > 0) {
+      response.commands = commands;
+      // Older bots only understand a single "command" field
+      if (commands.some(command => command.type === 'shutdown')) {
+        response.command = 'shutdown';
+      }
+    }
+  }
+
+  publishUserStatus(foundUser._id, 'login');
+  res.json(response);
+};
+
 router.post('/login', [
   body('user').notEmpty().withMessage('Username is required'),
   body('password').notEmpty().withMessage('Password is required')
@@ -19,120 +294,627 @@ router.post('/login', [
       });
     }
 
-    const { user, password, hwid, clientVersion } = req.body;
-    const clientType = req.headers['x-client-type'];
+    const { user, password } = req.body;
+    const client = getClientInfo(req);
+
+    if (await rejectIfThrottled(req, res, user)) {
+      return;
+    }
 
     const foundUser = await User.findOne({ user });
-    if (!foundUser) {
+    const isPasswordValid = foundUser ? await foundUser.comparePassword(password) : false;
+    if (!isPasswordValid) {
+      await registerLoginFailure(req, foundUser, user, 'invalid_credentials');
       return res.status(401).json({
         success: false,
         message: 'Invalid username or password'
       });
     }
 
-    const isPasswordValid = await foundUser.comparePassword(password);
+    await LoginAttempt.clear('user', String(user));
+
+    const refusal = await applyBotLoginRules(foundUser, client);
+    if (refusal) {
+      await recordLoginEvent(req, { user: foundUser, username: user, success: false, reason: refusal.reason });
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message,
+        ...refusal.details
+      });
+    }
+
+    // Second step required - the client must call /2fa/verify with the challenge token
+    if (foundUser.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(foundUser, client)
+      });
+    }
+
+    await completeLogin(req, res, foundUser, client);
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// Second step of a two-factor login: accepts a TOTP code or a recovery code
+router.post('/2fa/verify', [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('Code or recovery code is required');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(req.body.challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    const foundUser = await User.findById(challenge.userId);
+    if (!foundUser || !foundUser.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    const client = challenge.client || getClientInfo(req);
+
+    if (await rejectIfThrottled(req, res, foundUser.user)) {
+      return;
+    }
+
+    const method = verifySecondFactor(foundUser, req.body);
+    if (!method) {
+      await registerLoginFailure(req, foundUser, foundUser.user, 'invalid_two_factor');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    // Persist the used TOTP step / recovery code now, so it can't be replayed when the login is refused below
+    await foundUser.save();
+    await LoginAttempt.clear('user', foundUser.user);
+
+    // Re-check client rules since the account may have changed since the first step
+    const refusal = await applyBotLoginRules(foundUser, client);
+    if (refusal) {
+      await recordLoginEvent(req, { user: foundUser, username: foundUser.user, success: false, reason: refusal.reason, client });
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message,
+        ...refusal.details
+      });
+    }
+
+    await completeLogin(req, res, foundUser, client);
+
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor verification'
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token (the session's refresh token is rotated)
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const session = await RefreshToken.findActive(req.body.refreshToken);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      session.revokedAt = new Date();
+      await session.save();
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token - user not found'
+      });
+    }
+
+    const refreshToken = await session.rotate({ ip: getClientIP(req) });
+
+    res.json({
+      success: true,
+      token: generateToken(user, session),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
+router.post('/logout', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const session = await RefreshToken.findActive(req.body.refreshToken);
+    if (session) {
+      session.revokedAt = new Date();
+      await session.save();
+      publishUserStatus(session.user, 'logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// List usernames and IPs that are currently locked out
+router.get('/lockouts', authenticateToken, requirePermission('security.manage'), async (req, res) => {
+  try {
+    const lockouts = await LoginAttempt.find({ lockedUntil: { $gt: new Date() } })
+      .populate('user', 'user role')
+      .sort({ lockedUntil: -1 });
+
+    res.json({
+      success: true,
+      lockouts
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching lockouts'
+    });
+  }
+});
+
+// Unlock a username or IP
+router.delete('/lockouts/:id', authenticateToken, requirePermission('security.manage'), async (req, res) => {
+  try {
+    const lockout = await LoginAttempt.findByIdAndDelete(req.params.id);
+    if (!lockout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lockout not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'lockout.remove',
+      targetType: 'LoginAttempt',
+      target: lockout,
+      targetName: lockout.key,
+      before: toSnapshot(lockout)
+    });
+
+    res.json({
+      success: true,
+      message: 'Lockout removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove lockout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing lockout'
+    });
+  }
+});
+
+router.get('/password-policy', authenticateToken, (req, res) => {
+  const { minLength, requireUppercase, requireLowercase, requireDigit, requireSymbol, historySize } = getPasswordPolicy();
+  res.json({
+    success: true,
+    policy: { minLength, requireUppercase, requireLowercase, requireDigit, requireSymbol, historySize }
+  });
+});
+
+// Change own password. All other sessions are revoked and a new session is returned.
+router.post('/change-password', [
+  authenticateToken,
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword')
+    .notEmpty()
+    .withMessage('New password is required')
+    .custom(passwordPolicyValidator)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
     if (!isPasswordValid) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid username or password'
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (await user.isPasswordReused(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must not match a recently used password'
+      });
+    }
+
+    user.password = newPassword;
+    user.mustChangePassword = false;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.change-password',
+      targetType: 'User',
+      target: user,
+      targetName: user.user
+    });
+
+    const { token: refreshToken, doc: session } = await RefreshToken.issue(user._id, {
+      ip: getClientIP(req),
+      clientType: req.headers['x-client-type'],
+      hwid: req.user.hwid
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      token: generateToken(user, session),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password'
+    });
+  }
+});
+
+// Start two-factor enrollment: generate a secret for the authenticator app
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
       });
     }
 
-    // Block LineAPIBot login when account is disabled
-    if (clientType === 'LineAPIBot' && foundUser.enabled === false) {
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl: buildOtpAuthUrl(secret, user.user)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
+    });
+  }
+});
+
+// Finish enrollment by confirming a code from the authenticator app; returns recovery codes once
+router.post('/2fa/enable', [
+  authenticateToken,
+  body('code').notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor setup has not been started'
+      });
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, String(req.body.code));
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorLastStep = step;
+    user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.2fa-enable',
+      targetType: 'User',
+      target: user,
+      targetName: user.user
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+});
+
+router.post('/2fa/disable', [
+  authenticateToken,
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await isTwoFactorRequired(user)) {
       return res.status(403).json({
         success: false,
-        message: 'บัญชีนี้ถูกปิดการใช้งาน ไม่สามารถล็อกอินได้'
-      });
-    }
-
-    if (clientType === 'LineAPIBot') {
-      if (hwid) {
-        // ตรวจสอบว่าบัญชีนี้มี HWID อยู่แล้วหรือไม่
-        if (foundUser.hwid && foundUser.hwid !== hwid) {
-          return res.status(403).json({
-            success: false,
-            message: 'บัญชีนี้ถูกผูกกับเครื่องอื่นแล้ว ไม่สามารถใช้งานได้'
-          });
-        }
-        
-        // ตรวจสอบว่า HWID นี้ถูกใช้โดยบัญชีอื่นหรือไม่
-        const existingUserWithHwid = await User.findOne({ 
-          hwid: hwid, 
-          _id: { $ne: foundUser._id } 
-        });
-        
-        if (existingUserWithHwid) {
-          return res.status(403).json({
-            success: false,
-            message: `HWID นี้ถูกใช้งานโดยบัญชีอื่นแล้ว ไม่สามารถใช้งานได้ (ซ้ำกับ User: ${existingUserWithHwid.user})`
-          });
-        }
-        
-        if (!foundUser.hwid) {
-          foundUser.hwid = hwid;
-        }
-      } else {
-        if (foundUser.hwid) {
-          return res.status(400).json({
-            success: false,
-            message: 'HWID is required for this account'
-          });
-        }
-      }
-      
-      if (clientVersion) {
-        foundUser.clientVersion = clientVersion;
-      }
+        message: 'Two-factor authentication is required for your role'
+      });
     }
-    // For LineAdmin Frontend and LineDaily, skip HWID check
 
-    const userIP = req.headers['x-forwarded-for'] || 
-                   req.headers['x-real-ip'] || 
-                   req.connection.remoteAddress || 
-                   req.socket.remoteAddress ||
-                   req.ip;
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid || !verifySecondFactor(user, req.body)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or two-factor code'
+      });
+    }
 
-    foundUser.lastLoginAt = new Date();
-    foundUser.lastLoginIP = userIP;
-    await foundUser.save();
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorLastStep = null;
+    user.twoFactorRecoveryCodes = [];
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.2fa-disable',
+      targetType: 'User',
+      target: user,
+      targetName: user.user
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+});
+
+// Replace all recovery codes (requires a current TOTP code)
+router.post('/2fa/recovery-codes', [
+  authenticateToken,
+  body('code').notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
 
-    // Populate team before sending response
-    await foundUser.populate('team', 'name');
+    const user = await User.findById(req.user.id);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
 
-    const token = generateToken(foundUser._id);
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
 
-    const response = {
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    res.json({
       success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: foundUser._id,
-        user: foundUser.user,
-        role: foundUser.role,
-        team: foundUser.team ? {
-          id: foundUser.team._id,
-          name: foundUser.team.name
-        } : null,
-        hwid: foundUser.hwid,
-        featureFarm: foundUser.featureFarm !== false,
-        featureBoard: foundUser.featureBoard !== false,
-        featureLocalData: foundUser.featureLocalData === true
-      }
-    };
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating recovery codes'
+    });
+  }
+});
 
-    // Send shutdown command if pending (for LineAPIBot client only)
-    if (clientType === 'LineAPIBot' && foundUser.pendingCommand) {
-      response.command = foundUser.pendingCommand;
+// Roles that must use two-factor authentication
+router.get('/2fa/policy', authenticateToken, requirePermission('security.manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      requiredRoles: await getTwoFactorRequiredRoles()
+    });
+  } catch (error) {
+    console.error('Get two-factor policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching two-factor policy'
+    });
+  }
+});
+
+router.put('/2fa/policy', [
+  authenticateToken,
+  requirePermission('security.manage'),
+  body('requiredRoles')
+    .isArray()
+    .withMessage('requiredRoles must be an array'),
+  body('requiredRoles.*')
+    .isIn(['Admin', 'Audit', 'Head', 'User'])
+    .withMessage('Role must be Admin, Audit, Head, or User')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
     }
 
-    res.json(response);
+    const before = { requiredRoles: await getTwoFactorRequiredRoles() };
+    const requiredRoles = [...new Set(req.body.requiredRoles)];
+    await setTwoFactorRequiredRoles(requiredRoles, req.user.id);
+
+    await recordAudit(req, {
+      action: 'settings.2fa-policy',
+      targetType: 'Setting',
+      before,
+      after: { requiredRoles }
+    });
 
+    res.json({
+      success: true,
+      message: 'Two-factor policy updated successfully',
+      requiredRoles
+    });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Update two-factor policy error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login'
+      message: 'Server error while updating two-factor policy'
     });
   }
 });
@@ -156,7 +938,9 @@ router.get('/me', authenticateToken, async (req, res) => {
         team: user.team ? {
           id: user.team._id,
           name: user.team.name
-        } : null
+        } : null,
+        mustChangePassword: user.mustChangePassword === true,
+        twoFactorEnabled: user.twoFactorEnabled === true
       }
     });
   } catch (error) {
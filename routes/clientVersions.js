@@ -0,0 +1,178 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/auditLogger');
+const { getTeamScope } = require('../utils/teamScope');
+const { isUserOnline } = require('../utils/presence');
+const {
+  isValidVersion,
+  compareVersions,
+  getVersionPolicy,
+  setVersionPolicy,
+  checkClientVersion
+} = require('../utils/versionPolicy');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Get the current LineAPIBot version policy
+router.get('/policy', requirePermission('users.read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      policy: await getVersionPolicy()
+    });
+  } catch (error) {
+    console.error('Get version policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching version policy'
+    });
+  }
+});
+
+// Replace the version policy
+router.put('/policy', [
+  requirePermission('clients.manage'),
+  body('minimumVersion')
+    .optional({ nullable: true })
+    .custom(isValidVersion)
+    .withMessage('minimumVersion must be a version such as 1.2.3'),
+  body('recommendedVersion')
+    .optional({ nullable: true })
+    .custom(isValidVersion)
+    .withMessage('recommendedVersion must be a version such as 1.2.3'),
+  body('blockedVersions')
+    .optional()
+    .isArray()
+    .withMessage('blockedVersions must be an array'),
+  body('blockedVersions.*')
+    .custom(isValidVersion)
+    .withMessage('Blocked versions must be versions such as 1.2.3'),
+  body('downloadNote')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('downloadNote cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const before = await getVersionPolicy();
+    const policy = {
+      minimumVersion: req.body.minimumVersion ? req.body.minimumVersion.trim() : null,
+      blockedVersions: [...new Set((req.body.blockedVersions || []).map(version => version.trim()))],
+      recommendedVersion: req.body.recommendedVersion ? req.body.recommendedVersion.trim() : null,
+      downloadNote: req.body.downloadNote || ''
+    };
+
+    if (policy.minimumVersion && policy.recommendedVersion &&
+      compareVersions(policy.recommendedVersion, policy.minimumVersion) < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'recommendedVersion cannot be lower than minimumVersion'
+      });
+    }
+
+    await setVersionPolicy(policy, req.user.id);
+
+    await recordAudit(req, {
+      action: 'settings.version-policy',
+      targetType: 'Setting',
+      before,
+      after: policy
+    });
+
+    res.json({
+      success: true,
+      message: 'Version policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    console.error('Update version policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating version policy'
+    });
+  }
+});
+
+// Number of users per reported LineAPIBot version
+router.get('/report', requirePermission('users.read'), async (req, res) => {
+  try {
+    const scope = await getTeamScope(req);
+    const query = {};
+    if (scope) {
+      // Team-scoped users without a team see nothing
+      if (!scope.teamId) {
+        return res.json({
+          success: true,
+          policy: await getVersionPolicy(),
+          totalUsers: 0,
+          versions: []
+        });
+      }
+      query.team = scope.teamId;
+    }
+
+    const [users, policy] = await Promise.all([
+      User.find(query).select('user clientVersion lastHeartbeatAt onlineSince'),
+      getVersionPolicy()
+    ]);
+
+    const now = new Date();
+    const byVersion = new Map();
+    for (const user of users) {
+      const version = user.clientVersion || null;
+      if (!byVersion.has(version)) {
+        const check = checkClientVersion(version, policy);
+        byVersion.set(version, {
+          version,
+          users: 0,
+          online: 0,
+          allowed: check.allowed,
+          reason: check.reason,
+          updateAvailable: check.updateAvailable
+        });
+      }
+
+      const entry = byVersion.get(version);
+      entry.users += 1;
+      if (isUserOnline(user, now)) {
+        entry.online += 1;
+      }
+    }
+
+    // Newest version first, users that never reported a version last
+    const versions = [...byVersion.values()].sort((a, b) => {
+      if (!a.version) return 1;
+      if (!b.version) return -1;
+      if (!isValidVersion(a.version) || !isValidVersion(b.version)) return a.version.localeCompare(b.version);
+      return compareVersions(b.version, a.version);
+    });
+
+    res.json({
+      success: true,
+      policy,
+      totalUsers: users.length,
+      versions
+    });
+  } catch (error) {
+    console.error('Get version report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching version report'
+    });
+  }
+});
+
+module.exports = router;
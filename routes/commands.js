@@ -0,0 +1,202 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const BotCommand = require('../models/BotCommand');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/auditLogger');
+const { onlineUserQuery, offlineUserQuery } = require('../utils/presence');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+router.use(requirePermission('bots.command'));
+
+// Queue one command for every user matching the filter (team, online, role, clientVersion)
+router.post('/broadcast', [
+  body('type')
+    .isIn(BotCommand.COMMAND_TYPES)
+    .withMessage(`Type must be one of: ${BotCommand.COMMAND_TYPES.join(', ')}`),
+  body('args')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('args must be an object'),
+  body('expiresInMinutes')
+    .optional()
+    .isInt({ min: 1, max: 10080 })
+    .withMessage('expiresInMinutes must be between 1 and 10080'),
+  body('teamId')
+    .optional()
+    .isMongoId()
+    .withMessage('teamId must be a valid MongoDB ObjectId'),
+  body('online')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('online must be a boolean'),
+  body('role')
+    .optional()
+    .isIn(['Admin', 'Audit', 'Head', 'User'])
+    .withMessage('Role must be Admin, Audit, Head, or User'),
+  body('clientVersion')
+    .optional()
+    .isString()
+    .withMessage('clientVersion must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { type, args, expiresInMinutes, teamId, online, role, clientVersion } = req.body;
+
+    if (!teamId && online === undefined && !role && !clientVersion) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one filter is required: teamId, online, role or clientVersion'
+      });
+    }
+
+    const query = {};
+    if (teamId) {
+      const team = await Team.findById(teamId);
+      if (!team) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team not found'
+        });
+      }
+      query.team = team._id;
+    }
+    if (online !== undefined) {
+      Object.assign(query, online ? onlineUserQuery() : offlineUserQuery());
+    }
+    if (role) {
+      query.role = role;
+    }
+    if (clientVersion) {
+      query.clientVersion = clientVersion;
+    }
+
+    const users = await User.find(query).select('user').sort({ user: 1 });
+
+    const batchId = crypto.randomUUID();
+    const results = [];
+
+    for (const user of users) {
+      // Avoid stacking the same command on a bot that has not picked up the previous one
+      const existing = await BotCommand.findOne({
+        user: user._id,
+        type,
+        status: { $in: BotCommand.OPEN_STATUSES },
+        expiresAt: { $gt: new Date() }
+      });
+
+      if (existing) {
+        results.push({
+          userId: user._id,
+          username: user.user,
+          commandId: existing._id,
+          status: 'already-queued'
+        });
+        continue;
+      }
+
+      const command = await BotCommand.queue(user._id, type, {
+        args: args || null,
+        createdBy: req.user.id,
+        expiresInMinutes: expiresInMinutes ? parseInt(expiresInMinutes, 10) : undefined,
+        batchId
+      });
+      results.push({
+        userId: user._id,
+        username: user.user,
+        commandId: command._id,
+        status: 'queued'
+      });
+    }
+
+    const queuedCount = results.filter(result => result.status === 'queued').length;
+
+    await recordAudit(req, {
+      action: 'command.broadcast',
+      targetType: 'BotCommand',
+      details: {
+        batchId,
+        type,
+        args: args || null,
+        filter: { teamId: teamId || null, online: online === undefined ? null : online, role: role || null, clientVersion: clientVersion || null },
+        matchedCount: users.length,
+        queuedCount
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Command queued for ${queuedCount} of ${users.length} user(s)`,
+      batchId,
+      matchedCount: users.length,
+      queuedCount,
+      results
+    });
+  } catch (error) {
+    console.error('Broadcast command error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while broadcasting command'
+    });
+  }
+});
+
+// Per-user delivery status of a broadcast
+router.get('/broadcast/:batchId', async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    await BotCommand.expireStale({ batchId });
+
+    const commands = await BotCommand.find({ batchId })
+      .populate('user', 'user')
+      .sort({ createdAt: 1 });
+
+    if (commands.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Broadcast not found'
+      });
+    }
+
+    const summary = {};
+    for (const command of commands) {
+      summary[command.status] = (summary[command.status] || 0) + 1;
+    }
+
+    res.json({
+      success: true,
+      batchId,
+      type: commands[0].type,
+      summary,
+      results: commands.map(command => ({
+        userId: command.user ? command.user._id : null,
+        username: command.user ? command.user.user : null,
+        commandId: command._id,
+        status: command.status,
+        deliveredAt: command.deliveredAt,
+        completedAt: command.completedAt,
+        error: command.error
+      }))
+    });
+  } catch (error) {
+    console.error('Get broadcast status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching broadcast status'
+    });
+  }
+});
+
+module.exports = router;
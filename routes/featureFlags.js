@@ -0,0 +1,212 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const FeatureFlag = require('../models/FeatureFlag');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { toSnapshot, recordAudit } = require('../utils/auditLogger');
+const eventBus = require('../utils/eventBus');
+const { publishUsersStatus } = require('../utils/statusStream');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Get all feature flag definitions
+router.get('/', requirePermission('users.read'), async (req, res) => {
+  try {
+    const flags = await FeatureFlag.find().sort({ key: 1 });
+    res.json({
+      success: true,
+      flags
+    });
+  } catch (error) {
+    console.error('Get feature flags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching feature flags'
+    });
+  }
+});
+
+// Create a feature flag definition
+router.post('/', [
+  requirePermission('features.manage'),
+  body('key')
+    .matches(/^[a-zA-Z][a-zA-Z0-9_-]{0,49}$/)
+    .withMessage('Flag key must start with a letter and contain only letters, digits, "_" or "-" (max 50 characters)'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('defaultValue')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('defaultValue must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { key, description, defaultValue } = req.body;
+
+    const existingFlag = await FeatureFlag.findOne({ key });
+    if (existingFlag) {
+      return res.status(400).json({
+        success: false,
+        message: 'Feature flag already exists'
+      });
+    }
+
+    const flag = new FeatureFlag({
+      key,
+      description: description || '',
+      defaultValue: defaultValue === true
+    });
+    await flag.save();
+    eventBus.emit('features.changed', {});
+    publishUsersStatus({}, 'features');
+
+    await recordAudit(req, {
+      action: 'feature-flag.create',
+      targetType: 'FeatureFlag',
+      target: flag,
+      targetName: flag.key,
+      after: toSnapshot(flag)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Feature flag created successfully',
+      flag
+    });
+  } catch (error) {
+    console.error('Create feature flag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating feature flag'
+    });
+  }
+});
+
+// Update description or default value of a feature flag
+router.put('/:key', [
+  requirePermission('features.manage'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('defaultValue')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('defaultValue must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const flag = await FeatureFlag.findOne({ key: req.params.key });
+    if (!flag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feature flag not found'
+      });
+    }
+
+    const before = toSnapshot(flag);
+    const { description, defaultValue } = req.body;
+    if (description !== undefined) {
+      flag.description = description;
+    }
+    if (defaultValue !== undefined) {
+      flag.defaultValue = defaultValue;
+    }
+    await flag.save();
+    eventBus.emit('features.changed', {});
+    publishUsersStatus({}, 'features');
+
+    await recordAudit(req, {
+      action: 'feature-flag.update',
+      targetType: 'FeatureFlag',
+      target: flag,
+      targetName: flag.key,
+      before,
+      after: toSnapshot(flag)
+    });
+
+    res.json({
+      success: true,
+      message: 'Feature flag updated successfully',
+      flag
+    });
+  } catch (error) {
+    console.error('Update feature flag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating feature flag'
+    });
+  }
+});
+
+// Delete a feature flag and every team/user override of it
+router.delete('/:key', requirePermission('features.manage'), async (req, res) => {
+  try {
+    const flag = await FeatureFlag.findOne({ key: req.params.key });
+    if (!flag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feature flag not found'
+      });
+    }
+
+    // Built-in flags are still read by older LineAPIBot versions
+    if (FeatureFlag.BUILT_IN_KEYS.includes(flag.key)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in feature flags cannot be deleted'
+      });
+    }
+
+    const overridePath = `featureFlags.${flag.key}`;
+    await Promise.all([
+      User.updateMany({ [overridePath]: { $exists: true } }, { $unset: { [overridePath]: '' } }),
+      Team.updateMany({ [overridePath]: { $exists: true } }, { $unset: { [overridePath]: '' } })
+    ]);
+    await FeatureFlag.deleteOne({ _id: flag._id });
+    eventBus.emit('features.changed', {});
+    publishUsersStatus({}, 'features');
+
+    await recordAudit(req, {
+      action: 'feature-flag.delete',
+      targetType: 'FeatureFlag',
+      target: flag,
+      targetName: flag.key,
+      before: toSnapshot(flag)
+    });
+
+    res.json({
+      success: true,
+      message: 'Feature flag deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete feature flag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting feature flag'
+    });
+  }
+});
+
+module.exports = router;
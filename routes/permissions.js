@@ -0,0 +1,130 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { ROLES, PERMISSIONS, DEFAULT_ROLE_PERMISSIONS, LOCKED_ROLE_PERMISSIONS } = require('../config/permissions');
+const { getRolePermissions, setRolePermissions } = require('../utils/permissions');
+const { recordAudit } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+router.use(requirePermission('security.manage'));
+
+// Get all permissions and the current role-to-permission mapping
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+      roles: await getRolePermissions(),
+      defaults: DEFAULT_ROLE_PERMISSIONS
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching permissions'
+    });
+  }
+});
+
+// Replace the permissions of a role
+router.put('/:role', [
+  body('permissions')
+    .isArray()
+    .withMessage('permissions must be an array'),
+  body('permissions.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Unknown permission')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { role } = req.params;
+    if (!ROLES.includes(role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const permissions = [...new Set(req.body.permissions)];
+    const missingLocked = (LOCKED_ROLE_PERMISSIONS[role] || []).filter(p => !permissions.includes(p));
+    if (missingLocked.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${role} must keep permission: ${missingLocked.join(', ')}`
+      });
+    }
+
+    const before = (await getRolePermissions())[role];
+    await setRolePermissions(role, permissions, req.user.id);
+
+    await recordAudit(req, {
+      action: 'permissions.update',
+      targetType: 'Role',
+      targetName: role,
+      before: { permissions: before },
+      after: { permissions }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role permissions updated successfully',
+      role,
+      permissions
+    });
+  } catch (error) {
+    console.error('Update permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating permissions'
+    });
+  }
+});
+
+// Restore the default permissions of a role
+router.delete('/:role', async (req, res) => {
+  try {
+    const { role } = req.params;
+    if (!ROLES.includes(role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const before = (await getRolePermissions())[role];
+    await setRolePermissions(role, null, req.user.id);
+
+    await recordAudit(req, {
+      action: 'permissions.reset',
+      targetType: 'Role',
+      targetName: role,
+      before: { permissions: before },
+      after: { permissions: DEFAULT_ROLE_PERMISSIONS[role] }
+    });
+
+    res.json({
+      success: true,
+      message: 'Role permissions reset to default',
+      role,
+      permissions: DEFAULT_ROLE_PERMISSIONS[role]
+    });
+  } catch (error) {
+    console.error('Reset permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting permissions'
+    });
+  }
+});
+
+module.exports = router;
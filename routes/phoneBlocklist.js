@@ -0,0 +1,373 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const BlockedNumber = require('../models/BlockedNumber');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { toSnapshot, recordAudit } = require('../utils/auditLogger');
+const { normalizeThaiMobile10, normalizePhoneNumbers } = require('../utils/phoneNumber');
+
+const router = express.Router();
+
+const MAX_IMPORT_NUMBERS = 10000;
+
+router.use(authenticateToken);
+
+const reasonValidator = (optional = false) => {
+  const chain = body('reason');
+  return (optional ? chain.optional() : chain)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Reason is required (max 200 characters)');
+};
+
+// expiresAt: ISO date in the future, or null to block until removed
+const expiresAtValidator = body('expiresAt')
+  .optional({ nullable: true })
+  .isISO8601()
+  .withMessage('expiresAt must be an ISO 8601 date')
+  .bail()
+  .custom(value => new Date(value) > new Date())
+  .withMessage('expiresAt must be in the future');
+
+const sendValidationError = (res, errors) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: errors.array()
+});
+
+// List blocked numbers. status: active (default), expired or all; search matches part of the number
+router.get('/', requirePermission('blocklist.manage'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const { status = 'active', search } = req.query;
+    const now = new Date();
+
+    const query = {};
+    if (status === 'active') {
+      Object.assign(query, BlockedNumber.activeQuery(now));
+    } else if (status === 'expired') {
+      query.expiresAt = { $lte: now };
+    } else if (status !== 'all') {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be one of: active, expired, all'
+      });
+    }
+    if (search) {
+      const digits = String(search).replace(/\D/g, '');
+      if (digits) {
+        query.phoneNumber = { $regex: digits };
+      }
+    }
+
+    const [entries, total] = await Promise.all([
+      BlockedNumber.find(query)
+        .populate('createdBy', 'user')
+        .populate('updatedBy', 'user')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      BlockedNumber.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      entries: entries.map(entry => ({
+        ...entry.toJSON(),
+        isActive: !entry.expiresAt || entry.expiresAt > now
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get blocked numbers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching blocked numbers'
+    });
+  }
+});
+
+// Block a single number
+router.post('/', [
+  requirePermission('blocklist.manage'),
+  body('phoneNumber')
+    .custom(value => normalizeThaiMobile10(value) !== null)
+    .withMessage('phoneNumber must be a valid Thai mobile number'),
+  reasonValidator(),
+  expiresAtValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors);
+    }
+
+    const phoneNumber = normalizeThaiMobile10(req.body.phoneNumber);
+    const existing = await BlockedNumber.findOne({ phoneNumber });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is already on the blocklist',
+        entry: existing
+      });
+    }
+
+    const entry = new BlockedNumber({
+      phoneNumber,
+      reason: req.body.reason,
+      expiresAt: req.body.expiresAt ? new Date(req.body.expiresAt) : null,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+    try {
+      await entry.save();
+    } catch (error) {
+      // Added by a concurrent request after the check above
+      if (error.code !== 11000) throw error;
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is already on the blocklist',
+        entry: await BlockedNumber.findOne({ phoneNumber })
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'phone-blocklist.add',
+      targetType: 'BlockedNumber',
+      target: entry,
+      targetName: entry.phoneNumber,
+      after: toSnapshot(entry)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Phone number blocked',
+      entry
+    });
+  } catch (error) {
+    console.error('Block phone number error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while blocking phone number'
+    });
+  }
+});
+
+// Bulk import with one reason and expiry. Numbers already on the list get the new reason; their block
+// is only made longer (a permanent block stays permanent) unless replaceExpiry is true
+router.post('/import', [
+  requirePermission('blocklist.manage'),
+  body('phoneNumbers')
+    .isArray({ min: 1, max: MAX_IMPORT_NUMBERS })
+    .withMessage(`phoneNumbers must be an array of 1-${MAX_IMPORT_NUMBERS} numbers`),
+  reasonValidator(),
+  expiresAtValidator,
+  body('replaceExpiry')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('replaceExpiry must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors);
+    }
+
+    const { phoneNumbers, reason } = req.body;
+    const replaceExpiry = req.body.replaceExpiry === true;
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+    const normalizedNumbers = normalizePhoneNumbers(phoneNumbers);
+    if (normalizedNumbers.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid phone numbers found'
+      });
+    }
+
+    const buildOperation = (phoneNumber) => ({
+      updateOne: {
+        filter: { phoneNumber },
+        update: replaceExpiry
+          ? {
+            $set: { reason, expiresAt, updatedBy: req.user.id },
+            $setOnInsert: { createdBy: req.user.id }
+          }
+          : {
+            $set: { reason, updatedBy: req.user.id },
+            $setOnInsert: { expiresAt, createdBy: req.user.id }
+          },
+        upsert: true
+      }
+    });
+
+    // A concurrent import may insert the same new number first (E11000); those operations are
+    // retried once and then update the entry it created
+    let addedCount = 0;
+    let pending = normalizedNumbers;
+    for (let attempt = 0; pending.length > 0; attempt++) {
+      try {
+        const result = await BlockedNumber.bulkWrite(pending.map(buildOperation), { ordered: false });
+        addedCount += result.upsertedCount;
+        pending = [];
+      } catch (error) {
+        const writeErrors = [].concat(error.writeErrors || []);
+        if (attempt > 0 || writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+          throw error;
+        }
+        addedCount += error.result ? error.result.upsertedCount : 0;
+        pending = writeErrors.map(writeError => pending[writeError.index]);
+      }
+    }
+
+    // Existing expiring blocks are extended to the new expiry (or made permanent), never shortened
+    if (!replaceExpiry) {
+      await BlockedNumber.updateMany(
+        {
+          phoneNumber: { $in: normalizedNumbers },
+          expiresAt: expiresAt ? { $ne: null, $lt: expiresAt } : { $ne: null }
+        },
+        { $set: { expiresAt } }
+      );
+    }
+
+    const updatedCount = normalizedNumbers.length - addedCount;
+
+    await recordAudit(req, {
+      action: 'phone-blocklist.import',
+      targetType: 'BlockedNumber',
+      details: {
+        reason,
+        expiresAt,
+        replaceExpiry,
+        addedCount,
+        updatedCount,
+        invalidCount: phoneNumbers.length - normalizedNumbers.length,
+        phoneNumbers: normalizedNumbers
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Phone numbers imported to the blocklist',
+      originalCount: phoneNumbers.length,
+      validCount: normalizedNumbers.length,
+      invalidCount: phoneNumbers.length - normalizedNumbers.length,
+      addedCount,
+      updatedCount
+    });
+  } catch (error) {
+    console.error('Import blocked numbers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing blocked numbers'
+    });
+  }
+});
+
+// Change the reason or expiry of an entry (expiresAt null blocks until removed)
+router.patch('/:id', [
+  requirePermission('blocklist.manage'),
+  reasonValidator(true),
+  expiresAtValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors);
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid blocklist entry ID'
+      });
+    }
+
+    const entry = await BlockedNumber.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blocklist entry not found'
+      });
+    }
+
+    const before = toSnapshot(entry);
+    if (req.body.reason !== undefined) {
+      entry.reason = req.body.reason;
+    }
+    if (req.body.expiresAt !== undefined) {
+      entry.expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+    }
+    entry.updatedBy = req.user.id;
+    await entry.save();
+
+    await recordAudit(req, {
+      action: 'phone-blocklist.update',
+      targetType: 'BlockedNumber',
+      target: entry,
+      targetName: entry.phoneNumber,
+      before,
+      after: toSnapshot(entry)
+    });
+
+    res.json({
+      success: true,
+      message: 'Blocklist entry updated',
+      entry
+    });
+  } catch (error) {
+    console.error('Update blocked number error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating blocked number'
+    });
+  }
+});
+
+router.delete('/:id', requirePermission('blocklist.manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid blocklist entry ID'
+      });
+    }
+
+    const entry = await BlockedNumber.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blocklist entry not found'
+      });
+    }
+
+    await BlockedNumber.deleteOne({ _id: entry._id });
+
+    await recordAudit(req, {
+      action: 'phone-blocklist.remove',
+      targetType: 'BlockedNumber',
+      target: entry,
+      targetName: entry.phoneNumber,
+      before: toSnapshot(entry)
+    });
+
+    res.json({
+      success: true,
+      message: 'Phone number removed from the blocklist'
+    });
+  } catch (error) {
+    console.error('Remove blocked number error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing blocked number'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,51 +1,364 @@
+const fs = require('fs');
+const os = require('os');
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 const PhoneData = require('../models/PhoneData');
 const UploadHistory = require('../models/UploadHistory');
 const User = require('../models/User');
-const { authenticateToken } = require('../middleware/auth');
+const PhoneAssignment = require('../models/PhoneAssignment');
+const UploadBatch = require('../models/UploadBatch');
+const PhoneOutcome = require('../models/PhoneOutcome');
+const Team = require('../models/Team');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { getTeamScope, isUserInScope, getScopedUserIds } = require('../utils/teamScope');
+const { recordAudit } = require('../utils/auditLogger');
+const eventBus = require('../utils/eventBus');
+const { normalizeThaiMobile10, normalizePhoneNumbers } = require('../utils/phoneNumber');
+const { SUPPORTED_FORMATS, detectFormat, parsePhoneListFile } = require('../utils/phoneListParser');
+const { WEIGHT_SOURCES, DEFAULT_WEIGHT_DAYS, splitPhoneNumbers, getFriendsAddedWeights } = require('../utils/phoneDistribution');
+const { buildOutcomeSummary, summarizeOutcomes, combineOutcomeSummaries } = require('../utils/phoneOutcomes');
+const { resolveDateRange } = require('../utils/attendance');
+const { filterBlockedNumbers } = require('../utils/phoneBlocklist');
+const { DUPLICATE_MODES, applyDuplicateMode, findDuplicateAssignments, describeDuplicates } = require('../utils/phoneDuplicates');
 
 const router = express.Router();
 
-const normalizeThaiMobile10 = (input) => {
-  if (!input || typeof input !== 'string') return null;
-  
-  const trimmed = input.trim();
-  let digitsOnly = trimmed.replace(/\D/g, '');
-  
-  if (trimmed.startsWith('+')) {
-    if (!trimmed.startsWith('+66')) return null;
-    if (!digitsOnly.startsWith('66')) return null;
-    const national = digitsOnly.length > 2 ? digitsOnly.substring(2) : '';
-    digitsOnly = '0' + national;
+const MAX_RESULTS_PER_REPORT = 5000;
+const MAX_UPLOAD_MB = parseInt(process.env.PHONE_UPLOAD_MAX_MB, 10) > 0 ? parseInt(process.env.PHONE_UPLOAD_MAX_MB, 10) : 50;
+
+// Uploaded files are written to a temp file and stream-parsed from there
+const fileUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+  defParamCharset: 'utf8'
+}).single('file');
+
+const receiveFile = (req, res, next) => {
+  fileUpload(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE' ? `File is larger than ${MAX_UPLOAD_MB} MB` : error.message;
+      return res.status(400).json({ success: false, message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'File is required (field "file")' });
+    }
+    if (!detectFormat(req.file.originalname)) {
+      removeUploadedFile(req);
+      return res.status(400).json({ success: false, message: `Unsupported file type. Allowed: ${SUPPORTED_FORMATS.join(', ')}` });
+    }
+    next();
+  });
+};
+
+const removeUploadedFile = (req) => {
+  if (req.file) {
+    fs.promises.unlink(req.file.path).catch(() => {});
+  }
+};
+
+// Remove numbers on the do-not-contact list from a parsed list; validCount then only counts usable numbers
+const applyBlocklist = async (parsed) => {
+  const { phoneNumbers, blockedCount, blockedNumbers } = await filterBlockedNumbers(parsed.phoneNumbers);
+  return { ...parsed, validCount: phoneNumbers.length, blockedCount, blockedNumbers, phoneNumbers };
+};
+
+// Normalize a JSON phone number array and apply the blocklist
+const screenPhoneNumbers = (lines) => {
+  const normalizedNumbers = normalizePhoneNumbers(lines);
+  return applyBlocklist({
+    originalCount: lines.length,
+    validCount: normalizedNumbers.length,
+    invalidCount: lines.length - normalizedNumbers.length,
+    phoneNumbers: normalizedNumbers
+  });
+};
+
+// Parse the uploaded file with the column options sent in the form and apply the blocklist.
+// maxNumbers limits lists that are stored as one PhoneData
+const parseUploadedFile = async (req, { maxNumbers } = {}) => applyBlocklist(await parsePhoneListFile(req.file.path, detectFormat(req.file.originalname), {
+  column: req.body.column,
+  hasHeader: req.body.hasHeader === 'true' || req.body.hasHeader === true,
+  sheet: req.body.sheet,
+  maxNumbers
+}));
+
+const TOO_MANY_NUMBERS_MESSAGE = `A list can hold at most ${PhoneData.MAX_PHONE_NUMBERS} phone numbers. Split it into smaller lists.`;
+
+const getNoNumbersMessage = (screened) => (screened.blockedCount > 0
+  ? 'All valid phone numbers are on the do-not-contact list'
+  : 'No valid phone numbers found');
+
+// Check the optional duplicate options sent with an upload (JSON body or form fields)
+const getDuplicateOptions = (req) => {
+  const { duplicateMode = 'report', lookbackDays } = req.body;
+  if (!DUPLICATE_MODES.includes(duplicateMode)) {
+    return { error: `duplicateMode must be one of: ${DUPLICATE_MODES.join(', ')}` };
   }
+  if (lookbackDays !== undefined && lookbackDays !== '' && !(parseInt(lookbackDays, 10) > 0)) {
+    return { error: 'lookbackDays must be a positive number' };
+  }
+  return { mode: duplicateMode, lookbackDays };
+};
+
+// Save phone data for a user together with its upload history and the phone number index
+const savePhoneList = async (req, targetUser, normalizedNumbers, fileName, batch = null) => {
+  const phoneData = new PhoneData({
+    targetUser: targetUser._id,
+    uploadedBy: req.user.id,
+    phoneNumbers: normalizedNumbers,
+    totalCount: normalizedNumbers.length,
+    fileName: fileName,
+    batch: batch ? batch._id : null
+  });
   
-  if (digitsOnly.length !== 10) return null;
+  await phoneData.save();
   
-  const prefix2 = digitsOnly.substring(0, 2);
-  if (prefix2 !== '06' && prefix2 !== '08' && prefix2 !== '09') return null;
+  const uploadHistory = new UploadHistory({
+    targetUser: targetUser._id,
+    uploadedBy: req.user.id,
+    totalCount: normalizedNumbers.length,
+    uploadedAt: phoneData.uploadedAt,
+    phoneDataId: phoneData._id,
+    fileName: fileName,
+    batch: batch ? batch._id : null
+  });
   
-  return digitsOnly;
+  await uploadHistory.save();
+  await PhoneAssignment.recordUpload(phoneData, uploadHistory._id);
+  eventBus.emit('phoneData.uploaded', { userId: targetUser._id.toString() });
+
+  return { phoneData, uploadHistory };
 };
 
-const normalizePhoneNumbers = (lines) => {
-  const result = [];
-  const seen = new Set();
-  
-  for (const line of lines) {
-    const normalized = normalizeThaiMobile10(line);
-    if (normalized === null) continue;
-    
-    if (!seen.has(normalized)) {
-      seen.add(normalized);
-      result.push(normalized);
+// Save phone data for a single user and record the audit entry
+const storePhoneData = async (req, targetUser, normalizedNumbers, fileName, { duplicates = null, blocked = null } = {}) => {
+  const { phoneData } = await savePhoneList(req, targetUser, normalizedNumbers, fileName);
+
+  await recordAudit(req, {
+    action: 'phoneData.upload',
+    targetType: 'PhoneData',
+    target: phoneData,
+    targetName: targetUser.user,
+    details: {
+      targetUser: targetUser._id,
+      totalCount: normalizedNumbers.length,
+      fileName: fileName || null,
+      duplicateCount: duplicates ? duplicates.count : 0,
+      duplicatesSkipped: duplicates ? duplicates.skipped : 0,
+      blockedCount: blocked ? blocked.blockedCount : 0,
+      blockedNumbers: blocked ? blocked.blockedNumbers : []
     }
+  });
+
+  return phoneData;
+};
+
+// Read the distribution options from a JSON body or multipart form fields
+// (in forms, targetUserIds may be comma separated and weights a JSON string)
+const getDistributionOptions = (req) => {
+  const { teamId, strategy = 'even', weightBy = 'custom', weightDays } = req.body;
+  let { targetUserIds, weights } = req.body;
+
+  if (typeof targetUserIds === 'string') {
+    targetUserIds = targetUserIds.split(',').map(id => id.trim()).filter(Boolean);
   }
-  
-  return result;
+  if (typeof weights === 'string') {
+    try {
+      weights = JSON.parse(weights);
+    } catch (error) {
+      return { error: 'weights must be a JSON object of userId -> weight' };
+    }
+  }
+
+  if (!teamId && (!Array.isArray(targetUserIds) || targetUserIds.length === 0)) {
+    return { error: 'targetUserIds or teamId is required' };
+  }
+  if (teamId && !mongoose.Types.ObjectId.isValid(teamId)) {
+    return { error: 'Invalid team ID' };
+  }
+  if (!teamId && targetUserIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Invalid target user ID' };
+  }
+  if (!UploadBatch.STRATEGIES.includes(strategy)) {
+    return { error: `strategy must be one of: ${UploadBatch.STRATEGIES.join(', ')}` };
+  }
+  if (strategy === 'weighted' && !WEIGHT_SOURCES.includes(weightBy)) {
+    return { error: `weightBy must be one of: ${WEIGHT_SOURCES.join(', ')}` };
+  }
+  if (strategy === 'weighted' && weightBy === 'custom' && (!weights || typeof weights !== 'object' || Array.isArray(weights))) {
+    return { error: 'weights must be an object of userId -> weight' };
+  }
+  if (weightDays !== undefined && weightDays !== '' && !(parseInt(weightDays, 10) > 0)) {
+    return { error: 'weightDays must be a positive number' };
+  }
+
+  return {
+    teamId: teamId || null,
+    targetUserIds: teamId ? null : [...new Set(targetUserIds.map(String))],
+    strategy,
+    weightBy: strategy === 'weighted' ? weightBy : null,
+    weights,
+    weightDays: parseInt(weightDays, 10) > 0 ? parseInt(weightDays, 10) : DEFAULT_WEIGHT_DAYS
+  };
+};
+
+// Resolve the members a list is distributed to: enabled bot accounts of a team, or the given users in request order
+const resolveDistributionMembers = async (options, scope) => {
+  if (options.teamId) {
+    if (scope && (!scope.teamId || scope.teamId.toString() !== options.teamId.toString())) {
+      return { status: 403, message: 'Access denied. Team is not your team.' };
+    }
+    const team = await Team.findById(options.teamId).select('_id');
+    if (!team) {
+      return { status: 404, message: 'Team not found' };
+    }
+
+    const members = await User.find({ team: team._id, role: 'User', enabled: true }).select('user team').sort({ user: 1 });
+    if (members.length === 0) {
+      return { status: 400, message: 'Team has no enabled bot accounts' };
+    }
+    return { members, teamId: team._id };
+  }
+
+  const users = await User.find({ _id: { $in: options.targetUserIds } }).select('user team');
+  if (users.length !== options.targetUserIds.length) {
+    return { status: 404, message: 'Target user not found' };
+  }
+  if (users.some(user => !isUserInScope(scope, user))) {
+    return { status: 403, message: 'Access denied. Target user is not in your team.' };
+  }
+
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  const members = options.targetUserIds.map(id => usersById.get(id));
+  // Batches of a single team are listed for that team's Head
+  const teamIds = new Set(members.map(member => (member.team ? member.team.toString() : null)));
+  const teamId = teamIds.size === 1 ? members[0].team : null;
+  return { members, teamId };
+};
+
+// Get the weight of each member for the weighted strategy
+const getMemberWeights = async (options, members) => {
+  if (options.strategy !== 'weighted') {
+    return { weights: members.map(() => null) };
+  }
+  if (options.weightBy === 'friendsAdded') {
+    return { weights: await getFriendsAddedWeights(members.map(member => member._id), options.weightDays) };
+  }
+
+  const weights = members.map(member => Number(options.weights[member._id.toString()]));
+  if (weights.some(weight => !Number.isFinite(weight) || weight < 0)) {
+    return { error: 'weights must contain a non-negative number for every member' };
+  }
+  return { weights };
 };
 
-router.get('/team-members', authenticateToken, async (req, res) => {
+// Split a screened list across members and store one PhoneData and UploadHistory per member as a batch
+const distributePhoneList = async (req, res, screened, fileName) => {
+  const { phoneNumbers: normalizedNumbers, blockedNumbers, ...counts } = screened;
+  const options = getDistributionOptions(req);
+  if (options.error) {
+    return res.status(400).json({ success: false, message: options.error });
+  }
+  const duplicateOptions = getDuplicateOptions(req);
+  if (duplicateOptions.error) {
+    return res.status(400).json({ success: false, message: duplicateOptions.error });
+  }
+
+  const scope = await getTeamScope(req);
+  const resolved = await resolveDistributionMembers(options, scope);
+  if (resolved.status) {
+    return res.status(resolved.status).json({ success: false, message: resolved.message });
+  }
+  const { members, teamId } = resolved;
+
+  const { weights, error } = await getMemberWeights(options, members);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  if (normalizedNumbers.length === 0) {
+    return res.status(400).json({ success: false, message: getNoNumbersMessage(screened), ...counts });
+  }
+
+  // Numbers already assigned to anyone count as duplicates for a batch
+  const { phoneNumbers: numbersToStore, summary: duplicates } = await applyDuplicateMode(normalizedNumbers, {
+    lookbackDays: duplicateOptions.lookbackDays,
+    mode: duplicateOptions.mode
+  });
+  if (numbersToStore.length === 0) {
+    return res.status(400).json({ success: false, message: 'All phone numbers were already assigned to other users', ...counts, duplicates });
+  }
+
+  const parts = splitPhoneNumbers(numbersToStore, members.length, options.strategy, weights);
+  if (parts.some(part => part.length > PhoneData.MAX_PHONE_NUMBERS)) {
+    return res.status(400).json({ success: false, message: `${TOO_MANY_NUMBERS_MESSAGE} Add more members or change the weights.` });
+  }
+  const batch = new UploadBatch({
+    uploadedBy: req.user.id,
+    team: teamId,
+    strategy: options.strategy,
+    weightBy: options.weightBy,
+    fileName: fileName || null,
+    totalCount: numbersToStore.length,
+    members: members.map((member, index) => ({ user: member._id, count: parts[index].length, weight: weights[index] }))
+  });
+  await batch.save();
+
+  for (let i = 0; i < members.length; i++) {
+    // Members whose share is empty get no phone data
+    if (parts[i].length === 0) continue;
+    const { phoneData, uploadHistory } = await savePhoneList(req, members[i], parts[i], fileName, batch);
+    batch.members[i].phoneData = phoneData._id;
+    batch.members[i].uploadHistory = uploadHistory._id;
+  }
+  await batch.save();
+
+  await recordAudit(req, {
+    action: 'phoneData.distribute',
+    targetType: 'UploadBatch',
+    target: batch,
+    details: {
+      strategy: batch.strategy,
+      weightBy: batch.weightBy,
+      team: teamId,
+      totalCount: batch.totalCount,
+      fileName: batch.fileName,
+      members: members.map((member, index) => ({ user: member._id, username: member.user, count: parts[index].length })),
+      duplicateCount: duplicates.count,
+      duplicatesSkipped: duplicates.skipped,
+      blockedCount: screened.blockedCount,
+      blockedNumbers
+    }
+  });
+
+  res.json({
+    success: true,
+    message: 'Phone data distributed successfully',
+    ...counts,
+    batchId: batch._id,
+    strategy: batch.strategy,
+    totalCount: batch.totalCount,
+    members: members.map((member, index) => ({
+      userId: member._id,
+      username: member.user,
+      count: parts[index].length,
+      weight: weights[index],
+      phoneDataId: batch.members[index].phoneData
+    })),
+    duplicates
+  });
+};
+
+// Check that a batch belongs to the caller's team scope
+const isBatchInScope = (scope, batch) => {
+  if (!scope) return true;
+  return !!(scope.teamId && batch.team && batch.team.toString() === scope.teamId.toString());
+};
+
+router.get('/team-members', authenticateToken, requirePermission('phoneData.read'), async (req, res) => {
   try {
     const currentUser = await User.findById(req.user.id).populate('team');
     
@@ -53,15 +366,17 @@ router.get('/team-members', authenticateToken, async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
     
-    const allowedRoles = ['Head', 'Admin', 'Audit'];
-    if (!allowedRoles.includes(currentUser.role)) {
-      return res.status(403).json({ success: false, message: 'Access denied. Head, Admin, or Audit role required.' });
-    }
-    
     let query = {};
     const { teamId } = req.query;
+    const scope = await getTeamScope(req);
     
-    if (teamId) {
+    if (scope) {
+      // Team-scoped users (e.g. Head) only see their own team
+      if (!scope.teamId || (teamId && teamId !== scope.teamId.toString())) {
+        return res.json({ success: true, members: [], canUpload: false });
+      }
+      query = { team: scope.teamId };
+    } else if (teamId) {
       query = { team: teamId };
     }
     
@@ -70,7 +385,9 @@ router.get('/team-members', authenticateToken, async (req, res) => {
       .populate('team', 'name')
       .sort({ lastLoginAt: -1 });
     
-    res.json({ success: true, members, canUpload: currentUser.role !== 'Audit' });
+    const canUpload = await hasPermission(currentUser.role, 'phoneData.upload');
+    
+    res.json({ success: true, members, canUpload });
   } catch (error) {
     console.error('Get team members error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -79,6 +396,7 @@ router.get('/team-members', authenticateToken, async (req, res) => {
 
 router.post('/upload',
   authenticateToken,
+  requirePermission('phoneData.upload'),
   [
     body('targetUserId').notEmpty().withMessage('Target user ID is required'),
     body('phoneNumbers').isArray({ min: 1 }).withMessage('Phone numbers array is required')
@@ -90,54 +408,54 @@ router.post('/upload',
         return res.status(400).json({ success: false, errors: errors.array() });
       }
       
-      const currentUser = await User.findById(req.user.id);
-      if (!currentUser || (currentUser.role !== 'Head' && currentUser.role !== 'Admin')) {
-        return res.status(403).json({ success: false, message: 'Access denied. Head or Admin role required.' });
-      }
-      
       const { targetUserId, phoneNumbers, fileName } = req.body;
+      const duplicateOptions = getDuplicateOptions(req);
+      if (duplicateOptions.error) {
+        return res.status(400).json({ success: false, message: duplicateOptions.error });
+      }
       
       const targetUser = await User.findById(targetUserId);
       if (!targetUser) {
         return res.status(404).json({ success: false, message: 'Target user not found' });
       }
       
-      const normalizedNumbers = normalizePhoneNumbers(phoneNumbers);
-      
-      if (normalizedNumbers.length === 0) {
-        return res.status(400).json({ success: false, message: 'No valid phone numbers found' });
+      const scope = await getTeamScope(req);
+      if (!isUserInScope(scope, targetUser)) {
+        return res.status(403).json({ success: false, message: 'Access denied. Target user is not in your team.' });
       }
       
-      const phoneData = new PhoneData({
-        targetUser: targetUserId,
-        uploadedBy: req.user.id,
-        phoneNumbers: normalizedNumbers,
-        totalCount: normalizedNumbers.length,
-        fileName: fileName
-      });
+      const screened = await screenPhoneNumbers(phoneNumbers);
+      const { phoneNumbers: normalizedNumbers, blockedCount } = screened;
       
-      await phoneData.save();
+      if (normalizedNumbers.length === 0) {
+        return res.status(400).json({ success: false, message: getNoNumbersMessage(screened), blockedCount });
+      }
+      if (normalizedNumbers.length > PhoneData.MAX_PHONE_NUMBERS) {
+        return res.status(400).json({ success: false, message: TOO_MANY_NUMBERS_MESSAGE });
+      }
       
-      const uploadHistory = new UploadHistory({
-        targetUser: targetUserId,
-        uploadedBy: req.user.id,
-        totalCount: normalizedNumbers.length,
-        uploadedAt: phoneData.uploadedAt,
-        phoneDataId: phoneData._id,
-        fileName: fileName
+      const { phoneNumbers: numbersToStore, summary: duplicates } = await applyDuplicateMode(normalizedNumbers, {
+        targetUserId: targetUser._id,
+        lookbackDays: duplicateOptions.lookbackDays,
+        mode: duplicateOptions.mode
       });
+      if (numbersToStore.length === 0) {
+        return res.status(400).json({ success: false, message: 'All phone numbers were already assigned to other users', blockedCount, duplicates });
+      }
       
-      await uploadHistory.save();
+      const phoneData = await storePhoneData(req, targetUser, numbersToStore, fileName, { duplicates, blocked: screened });
       
       res.json({
         success: true,
         message: 'Phone data uploaded successfully',
         data: {
           id: phoneData._id,
-          totalCount: normalizedNumbers.length,
+          totalCount: numbersToStore.length,
           uploadedAt: phoneData.uploadedAt,
           fileName: fileName
-        }
+        },
+        blockedCount,
+        duplicates
       });
     } catch (error) {
       console.error('Upload phone data error:', error);
@@ -158,47 +476,441 @@ router.post('/validate',
         return res.status(400).json({ success: false, errors: errors.array() });
       }
       
-      const { phoneNumbers } = req.body;
+      const { originalCount, validCount, invalidCount, blockedCount, phoneNumbers } = await screenPhoneNumbers(req.body.phoneNumbers);
+      
+      res.json({
+        success: true,
+        originalCount,
+        validCount,
+        invalidCount,
+        blockedCount,
+        phoneNumbers
+      });
+    } catch (error) {
+      console.error('Validate phone numbers error:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// Multipart upload of a TXT, CSV or XLSX phone list (field "file"), parsed on the server.
+// Optional fields: column (header name, 1-based number or letter), hasHeader, sheet (name or 1-based number)
+router.post('/upload-file',
+  authenticateToken,
+  requirePermission('phoneData.upload'),
+  receiveFile,
+  async (req, res) => {
+    try {
+      const { targetUserId } = req.body;
+      if (!targetUserId) {
+        return res.status(400).json({ success: false, message: 'Target user ID is required' });
+      }
+      const duplicateOptions = getDuplicateOptions(req);
+      if (duplicateOptions.error) {
+        return res.status(400).json({ success: false, message: duplicateOptions.error });
+      }
+      
+      const targetUser = await User.findById(targetUserId);
+      if (!targetUser) {
+        return res.status(404).json({ success: false, message: 'Target user not found' });
+      }
+      
+      const scope = await getTeamScope(req);
+      if (!isUserInScope(scope, targetUser)) {
+        return res.status(403).json({ success: false, message: 'Access denied. Target user is not in your team.' });
+      }
+      
+      const screened = await parseUploadedFile(req, { maxNumbers: PhoneData.MAX_PHONE_NUMBERS });
+      const { originalCount, validCount, invalidCount, blockedCount, phoneNumbers } = screened;
+      if (validCount === 0) {
+        return res.status(400).json({ success: false, message: getNoNumbersMessage(screened), originalCount, validCount, invalidCount, blockedCount });
+      }
+      
+      const { phoneNumbers: numbersToStore, summary: duplicates } = await applyDuplicateMode(phoneNumbers, {
+        targetUserId: targetUser._id,
+        lookbackDays: duplicateOptions.lookbackDays,
+        mode: duplicateOptions.mode
+      });
+      if (numbersToStore.length === 0) {
+        return res.status(400).json({ success: false, message: 'All phone numbers were already assigned to other users', originalCount, validCount, invalidCount, blockedCount, duplicates });
+      }
+      
+      const fileName = req.file.originalname;
+      const phoneData = await storePhoneData(req, targetUser, numbersToStore, fileName, { duplicates, blocked: screened });
+      
+      res.json({
+        success: true,
+        message: 'Phone data uploaded successfully',
+        originalCount,
+        validCount,
+        invalidCount,
+        blockedCount,
+        data: {
+          id: phoneData._id,
+          totalCount: numbersToStore.length,
+          uploadedAt: phoneData.uploadedAt,
+          fileName
+        },
+        duplicates
+      });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      console.error('Upload phone data file error:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    } finally {
+      removeUploadedFile(req);
+    }
+  }
+);
+
+// Parse a phone list file and return the same counts as /validate without storing anything
+router.post('/validate-file', authenticateToken, receiveFile, async (req, res) => {
+  try {
+    const { originalCount, validCount, invalidCount, blockedCount, phoneNumbers } = await parseUploadedFile(req, { maxNumbers: PhoneData.MAX_PHONE_NUMBERS });
+    
+    res.json({
+      success: true,
+      fileName: req.file.originalname,
+      originalCount,
+      validCount,
+      invalidCount,
+      blockedCount,
+      phoneNumbers
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Validate phone list file error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  } finally {
+    removeUploadedFile(req);
+  }
+});
+
+// Show which users the given numbers were already assigned to within the look-back window.
+// With targetUserId, assignments to that user are not counted as duplicates.
+router.post('/duplicates/preview',
+  authenticateToken,
+  requirePermission('phoneData.upload'),
+  [
+    body('phoneNumbers').isArray({ min: 1 }).withMessage('Phone numbers array is required'),
+    body('lookbackDays').optional().isInt({ min: 1 }).withMessage('lookbackDays must be a positive number')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+      
+      const { phoneNumbers, targetUserId, lookbackDays } = req.body;
+      const scope = await getTeamScope(req);
+      
+      if (targetUserId) {
+        const targetUser = await User.findById(targetUserId).select('team');
+        if (!targetUser) {
+          return res.status(404).json({ success: false, message: 'Target user not found' });
+        }
+        if (!isUserInScope(scope, targetUser)) {
+          return res.status(403).json({ success: false, message: 'Access denied. Target user is not in your team.' });
+        }
+      }
+      
       const normalizedNumbers = normalizePhoneNumbers(phoneNumbers);
+      const result = await findDuplicateAssignments(normalizedNumbers, { targetUserId, lookbackDays });
+      const duplicates = await describeDuplicates(result.duplicates, scope);
       
       res.json({
         success: true,
-        originalCount: phoneNumbers.length,
+        lookbackDays: result.lookbackDays,
+        since: result.since,
         validCount: normalizedNumbers.length,
-        invalidCount: phoneNumbers.length - normalizedNumbers.length,
-        phoneNumbers: normalizedNumbers
+        duplicateCount: duplicates.length,
+        newCount: normalizedNumbers.length - duplicates.length,
+        duplicates
       });
     } catch (error) {
-      console.error('Validate phone numbers error:', error);
+      console.error('Preview duplicate phone numbers error:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// Split one list across several users (targetUserIds) or the enabled bot accounts of a team (teamId).
+// strategy: even (default), round-robin or weighted (weightBy custom with weights, or friendsAdded over weightDays)
+router.post('/distribute',
+  authenticateToken,
+  requirePermission('phoneData.upload'),
+  [
+    body('phoneNumbers').isArray({ min: 1 }).withMessage('Phone numbers array is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+      
+      const { phoneNumbers, fileName } = req.body;
+      await distributePhoneList(req, res, await screenPhoneNumbers(phoneNumbers), fileName);
+    } catch (error) {
+      console.error('Distribute phone data error:', error);
       res.status(500).json({ success: false, message: 'Server error' });
     }
   }
 );
 
-router.get('/history/:userId', authenticateToken, async (req, res) => {
+// Same as /distribute for an uploaded TXT, CSV or XLSX file (same file fields as /upload-file)
+router.post('/distribute-file',
+  authenticateToken,
+  requirePermission('phoneData.upload'),
+  receiveFile,
+  async (req, res) => {
+    try {
+      await distributePhoneList(req, res, await parseUploadedFile(req), req.file.originalname);
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      console.error('Distribute phone data file error:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    } finally {
+      removeUploadedFile(req);
+    }
+  }
+);
+
+router.get('/batches', authenticateToken, requirePermission('phoneData.read'), async (req, res) => {
   try {
-    const currentUser = await User.findById(req.user.id);
-    const allowedRoles = ['Head', 'Admin', 'Audit'];
-    if (!currentUser || !allowedRoles.includes(currentUser.role)) {
-      return res.status(403).json({ success: false, message: 'Access denied' });
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const scope = await getTeamScope(req);
+    
+    let query = {};
+    if (scope) {
+      if (!scope.teamId) {
+        return res.json({ success: true, batches: [] });
+      }
+      query = { team: scope.teamId };
+    }
+    
+    const batches = await UploadBatch.find(query)
+      .select('-members.weight')
+      .populate('uploadedBy', 'user')
+      .populate('members.user', 'user')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    
+    res.json({ success: true, batches });
+  } catch (error) {
+    console.error('Get upload batches error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Review a batch with the current download/delete state of each member's list
+router.get('/batches/:batchId', authenticateToken, requirePermission('phoneData.read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.batchId)) {
+      return res.status(400).json({ success: false, message: 'Invalid batch ID' });
+    }
+    
+    const batch = await UploadBatch.findById(req.params.batchId)
+      .populate('uploadedBy', 'user')
+      .populate('rolledBackBy', 'user')
+      .populate('members.user', 'user');
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Batch not found' });
+    }
+    
+    const scope = await getTeamScope(req);
+    if (!isBatchInScope(scope, batch)) {
+      return res.status(403).json({ success: false, message: 'Access denied. Batch is not in your team.' });
+    }
+    
+    const history = await UploadHistory.find({ batch: batch._id }).select('targetUser isDownloaded downloadedAt isDeleted deletedAt');
+    const historyById = new Map(history.map(entry => [entry._id.toString(), entry]));
+    
+    res.json({
+      success: true,
+      batch,
+      members: batch.members.map(member => {
+        const entry = member.uploadHistory ? historyById.get(member.uploadHistory.toString()) : null;
+        return {
+          userId: member.user ? member.user._id : null,
+          username: member.user ? member.user.user : null,
+          count: member.count,
+          weight: member.weight,
+          phoneDataId: member.phoneData,
+          isDownloaded: entry ? entry.isDownloaded : false,
+          downloadedAt: entry ? entry.downloadedAt : null,
+          isDeleted: entry ? entry.isDeleted : false,
+          deletedAt: entry ? entry.deletedAt : null
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get upload batch error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Roll back a batch: lists that were not downloaded yet are removed, downloaded ones are reported and kept
+router.post('/batches/:batchId/rollback', authenticateToken, requirePermission('phoneData.upload'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.batchId)) {
+      return res.status(400).json({ success: false, message: 'Invalid batch ID' });
+    }
+    
+    const batch = await UploadBatch.findById(req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Batch not found' });
+    }
+    
+    const scope = await getTeamScope(req);
+    if (!isBatchInScope(scope, batch)) {
+      return res.status(403).json({ success: false, message: 'Access denied. Batch is not in your team.' });
     }
+    if (batch.status === 'rolledBack') {
+      return res.status(409).json({ success: false, message: 'Batch was already rolled back' });
+    }
+    
+    const now = new Date();
+    const removed = [];
+    const kept = [];
+    const phoneDataList = await PhoneData.find({ batch: batch._id }).select('targetUser totalCount');
+    
+    for (const phoneData of phoneDataList) {
+      // Only delete while still not downloaded - the bot may fetch the list while the rollback runs
+      const deleted = await PhoneData.findOneAndDelete({ _id: phoneData._id, isDownloaded: false });
+      if (!deleted) {
+        kept.push({ userId: phoneData.targetUser, count: phoneData.totalCount });
+        continue;
+      }
+      
+      await UploadHistory.findOneAndUpdate(
+        { phoneDataId: phoneData._id },
+        { isDeleted: true, deletedAt: now, phoneDataId: null }
+      );
+      // The numbers never reached the bot, so they no longer count as assigned
+      await PhoneAssignment.deleteMany({ phoneData: phoneData._id });
+      removed.push({ userId: phoneData.targetUser, count: phoneData.totalCount });
+    }
+    
+    const before = batch.toObject();
+    batch.status = 'rolledBack';
+    batch.rolledBackAt = now;
+    batch.rolledBackBy = req.user.id;
+    await batch.save();
+    
+    await recordAudit(req, {
+      action: 'phoneData.rollback',
+      targetType: 'UploadBatch',
+      target: batch,
+      before: { status: before.status },
+      after: { status: batch.status },
+      details: { removed, kept }
+    });
     
+    res.json({
+      success: true,
+      message: kept.length > 0 ? 'Batch rolled back. Lists already downloaded by bots were kept.' : 'Batch rolled back',
+      removedCount: removed.reduce((sum, entry) => sum + entry.count, 0),
+      keptCount: kept.reduce((sum, entry) => sum + entry.count, 0),
+      removed,
+      kept
+    });
+  } catch (error) {
+    console.error('Roll back upload batch error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+router.get('/history/:userId', authenticateToken, requirePermission('phoneData.read'), async (req, res) => {
+  try {
     const { userId } = req.params;
     
+    const targetUser = await User.findById(userId).select('team');
+    if (!targetUser) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    const scope = await getTeamScope(req);
+    if (!isUserInScope(scope, targetUser)) {
+      return res.status(403).json({ success: false, message: 'Access denied. User is not in your team.' });
+    }
+    
     const history = await UploadHistory.find({ 
       targetUser: userId
     })
-      .select('totalCount uploadedAt isDownloaded downloadedAt uploadedBy isDeleted deletedAt fileName')
+      .select('totalCount uploadedAt isDownloaded downloadedAt uploadedBy isDeleted deletedAt fileName batch')
       .populate('uploadedBy', 'user')
       .sort({ uploadedAt: -1 });
     
-    res.json({ success: true, history });
+    const outcomes = await summarizeOutcomes({ targetUser: targetUser._id }, 'uploadHistory');
+    
+    res.json({
+      success: true,
+      history: history.map(entry => ({
+        ...entry.toObject(),
+        outcomes: outcomes.get(entry._id.toString()) || buildOutcomeSummary()
+      })),
+      outcomes: combineOutcomeSummaries([...outcomes.values()])
+    });
   } catch (error) {
     console.error('Get upload history error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
+// Roll up bot results per uploader for uploads made between startDate and endDate (Bangkok days)
+router.get('/outcomes/uploaders', authenticateToken, requirePermission('phoneData.read'), async (req, res) => {
+  try {
+    const range = resolveDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, message: range.error });
+    }
+    
+    const match = { uploadedAt: { $gte: range.from, $lt: range.to } };
+    const scopedUserIds = await getScopedUserIds(await getTeamScope(req));
+    if (scopedUserIds) {
+      match.targetUser = { $in: scopedUserIds };
+    }
+    
+    const uploads = await UploadHistory.aggregate([
+      { $match: match },
+      { $group: { _id: '$uploadedBy', uploads: { $sum: 1 }, uploadedCount: { $sum: '$totalCount' } } }
+    ]);
+    const outcomes = await summarizeOutcomes(match, 'uploadedBy');
+    
+    const uploaderIds = new Set([...uploads.map(entry => entry._id.toString()), ...outcomes.keys()]);
+    const users = await User.find({ _id: { $in: [...uploaderIds] } }).select('user');
+    const usernames = new Map(users.map(user => [user._id.toString(), user.user]));
+    const uploadsById = new Map(uploads.map(entry => [entry._id.toString(), entry]));
+    
+    const uploaders = [...uploaderIds].map(id => ({
+      userId: id,
+      username: usernames.get(id) || null,
+      uploads: uploadsById.has(id) ? uploadsById.get(id).uploads : 0,
+      uploadedCount: uploadsById.has(id) ? uploadsById.get(id).uploadedCount : 0,
+      ...(outcomes.get(id) || buildOutcomeSummary())
+    })).sort((a, b) => b.uploadedCount - a.uploadedCount);
+    
+    res.json({
+      success: true,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      uploaders,
+      totals: combineOutcomeSummaries([...outcomes.values()])
+    });
+  } catch (error) {
+    console.error('Get uploader outcomes error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 router.get('/pending', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
@@ -255,6 +967,103 @@ router.post('/mark-downloaded/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// LineAPIBot reports what happened to each number of one of its lists:
+// results: [{ phoneNumber, result }] with result friend_added, no_account, blocked, rate_limited or failed.
+// Works after the list was deleted; reporting a number again replaces its result
+router.post('/:id/results',
+  authenticateToken,
+  [
+    body('results').isArray({ min: 1, max: MAX_RESULTS_PER_REPORT }).withMessage(`results must be an array of 1-${MAX_RESULTS_PER_REPORT} entries`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+      
+      const { id } = req.params;
+      const userId = req.user.id;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ success: false, message: 'Invalid phone data ID' });
+      }
+      
+      const phoneData = await PhoneData.findOne({ _id: id, targetUser: userId }).select('phoneNumbers');
+      let uploadHistory = null;
+      if (phoneData) {
+        uploadHistory = await UploadHistory.findOne({ phoneDataId: id });
+      } else {
+        // The bot may have deleted the list already; the number index still links it to its history
+        const assignment = await PhoneAssignment.findOne({ phoneData: id, targetUser: userId }).select('uploadHistory');
+        uploadHistory = assignment && assignment.uploadHistory ? await UploadHistory.findById(assignment.uploadHistory) : null;
+      }
+      
+      if (!uploadHistory) {
+        return res.status(404).json({ success: false, message: 'Phone data not found' });
+      }
+      
+      // Only numbers of this list are accepted; a number reported twice keeps its last result
+      const reported = new Map();
+      const rejected = [];
+      for (const entry of req.body.results) {
+        const phoneNumber = normalizeThaiMobile10(entry && entry.phoneNumber);
+        if (!phoneNumber) {
+          rejected.push({ phoneNumber: entry ? entry.phoneNumber : null, reason: 'invalid_number' });
+        } else if (!PhoneOutcome.RESULTS.includes(entry.result)) {
+          rejected.push({ phoneNumber, reason: 'invalid_result' });
+        } else {
+          reported.set(phoneNumber, entry.result);
+        }
+      }
+      
+      const listNumbers = phoneData
+        ? new Set(phoneData.phoneNumbers)
+        : new Set((await PhoneAssignment.find({ phoneData: id, phoneNumber: { $in: [...reported.keys()] } }).select('phoneNumber').lean())
+          .map(assignment => assignment.phoneNumber));
+      for (const phoneNumber of [...reported.keys()]) {
+        if (!listNumbers.has(phoneNumber)) {
+          rejected.push({ phoneNumber, reason: 'not_in_list' });
+          reported.delete(phoneNumber);
+        }
+      }
+      
+      const now = new Date();
+      if (reported.size > 0) {
+        await PhoneOutcome.bulkWrite([...reported].map(([phoneNumber, result]) => ({
+          updateOne: {
+            filter: { uploadHistory: uploadHistory._id, phoneNumber },
+            update: {
+              $set: {
+                result,
+                reportedAt: now,
+                phoneData: id,
+                targetUser: uploadHistory.targetUser,
+                uploadedBy: uploadHistory.uploadedBy,
+                uploadedAt: uploadHistory.uploadedAt
+              }
+            },
+            upsert: true
+          }
+        })), { ordered: false });
+      }
+      
+      const outcomes = await summarizeOutcomes({ uploadHistory: uploadHistory._id }, 'uploadHistory');
+      
+      res.json({
+        success: true,
+        message: 'Results recorded',
+        accepted: reported.size,
+        rejectedCount: rejected.length,
+        rejected: rejected.slice(0, 100),
+        outcomes: outcomes.get(uploadHistory._id.toString()) || buildOutcomeSummary()
+      });
+    } catch (error) {
+      console.error('Report phone results error:', error);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
@@ -277,6 +1086,18 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     
     // Hard delete phone data to save space
     await PhoneData.findByIdAndDelete(id);
+
+    await recordAudit(req, {
+      action: 'phoneData.delete',
+      targetType: 'PhoneData',
+      target: phoneData,
+      details: {
+        targetUser: phoneData.targetUser,
+        totalCount: phoneData.totalCount,
+        fileName: phoneData.fileName,
+        isDownloaded: phoneData.isDownloaded
+      }
+    });
     
     res.json({ success: true, message: 'Phone data deleted' });
   } catch (error) {
@@ -0,0 +1,229 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const WorkSchedule = require('../models/WorkSchedule');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { toSnapshot, recordAudit } = require('../utils/auditLogger');
+const { getEffectiveSchedule, isWithinSchedule } = require('../utils/workSchedule');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const scheduleValidators = [
+  body('enabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('enabled must be a boolean'),
+  body('windows')
+    .isArray()
+    .withMessage('windows must be an array'),
+  body('windows.*.days')
+    .isArray({ min: 1 })
+    .withMessage('days must be a non-empty array'),
+  body('windows.*.days.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('days must contain weekday numbers 0 (Sunday) - 6 (Saturday)'),
+  body('windows.*.start')
+    .matches(WorkSchedule.TIME_PATTERN)
+    .withMessage('start must be HH:mm'),
+  body('windows.*.end')
+    .matches(WorkSchedule.TIME_PATTERN)
+    .withMessage('end must be HH:mm'),
+  body('holidays')
+    .optional()
+    .isArray()
+    .withMessage('holidays must be an array'),
+  body('holidays.*.date')
+    .matches(WorkSchedule.DATE_PATTERN)
+    .withMessage('Holiday date must be YYYY-MM-DD'),
+  body('holidays.*.note')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Holiday note cannot exceed 200 characters')
+];
+
+// Create or replace the schedule of a team or user
+const saveSchedule = async (req, res, scope, target, targetName) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors.array()
+    });
+  }
+
+  const filter = scope === 'team' ? { scope, team: target._id } : { scope, user: target._id };
+  let schedule = await WorkSchedule.findOne(filter);
+  const before = schedule ? toSnapshot(schedule) : null;
+  if (!schedule) {
+    schedule = new WorkSchedule(filter);
+  }
+
+  const { enabled, windows, holidays } = req.body;
+  if (enabled !== undefined) {
+    schedule.enabled = enabled;
+  }
+  schedule.windows = windows.map(window => ({
+    days: [...new Set(window.days.map(Number))].sort((a, b) => a - b),
+    start: window.start,
+    end: window.end
+  }));
+  if (holidays !== undefined) {
+    schedule.holidays = holidays.map(holiday => ({ date: holiday.date, note: holiday.note || '' }));
+  }
+  // An enabled schedule without windows would block the bot around the clock
+  if (schedule.enabled && schedule.windows.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'An enabled schedule needs at least one working window'
+    });
+  }
+  schedule.updatedBy = req.user.id;
+  await schedule.save();
+
+  await recordAudit(req, {
+    action: before ? 'schedule.update' : 'schedule.create',
+    targetType: scope === 'team' ? 'Team' : 'User',
+    target,
+    targetName,
+    before,
+    after: toSnapshot(schedule)
+  });
+
+  res.json({
+    success: true,
+    message: 'Schedule saved successfully',
+    schedule
+  });
+};
+
+// Get all schedules
+router.get('/', requirePermission('users.read'), async (req, res) => {
+  try {
+    const schedules = await WorkSchedule.find()
+      .populate('team', 'name')
+      .populate('user', 'user')
+      .sort({ scope: 1, createdAt: -1 });
+    res.json({
+      success: true,
+      schedules
+    });
+  } catch (error) {
+    console.error('Get schedules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching schedules'
+    });
+  }
+});
+
+// Get the schedule that applies to a user and whether the user may work right now
+router.get('/status/:userId', requirePermission('users.read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const schedule = await getEffectiveSchedule(user);
+    res.json({
+      success: true,
+      restricted: Boolean(schedule && schedule.enabled),
+      withinSchedule: isWithinSchedule(schedule),
+      schedule
+    });
+  } catch (error) {
+    console.error('Get schedule status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching schedule status'
+    });
+  }
+});
+
+// Set the schedule of a team
+router.put('/team/:teamId', [requirePermission('schedules.manage'), ...scheduleValidators], async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.teamId);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    await saveSchedule(req, res, 'team', team, team.name);
+  } catch (error) {
+    console.error('Save team schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving schedule'
+    });
+  }
+});
+
+// Set the schedule of a single user (overrides the team schedule)
+router.put('/user/:userId', [requirePermission('schedules.manage'), ...scheduleValidators], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await saveSchedule(req, res, 'user', user, user.user);
+  } catch (error) {
+    console.error('Save user schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving schedule'
+    });
+  }
+});
+
+// Delete a schedule (the team or user is no longer restricted)
+router.delete('/:id', requirePermission('schedules.manage'), async (req, res) => {
+  try {
+    const schedule = await WorkSchedule.findById(req.params.id)
+      .populate('team', 'name')
+      .populate('user', 'user');
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    await WorkSchedule.deleteOne({ _id: schedule._id });
+
+    const target = schedule.scope === 'team' ? schedule.team : schedule.user;
+    await recordAudit(req, {
+      action: 'schedule.delete',
+      targetType: schedule.scope === 'team' ? 'Team' : 'User',
+      target,
+      targetName: target ? (target.name || target.user) : null,
+      before: toSnapshot(schedule)
+    });
+
+    res.json({
+      success: true,
+      message: 'Schedule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting schedule'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,12 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const DailyStats = require('../models/DailyStats');
 const User = require('../models/User');
-const { authenticateToken, requireAdmin, requireAdminOrAudit } = require('../middleware/auth');
+const Device = require('../models/Device');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { getBangkokTime } = require('../utils/dateHelper');
+const { recordAudit } = require('../utils/auditLogger');
+const { getTeamScope, getScopedUserIds } = require('../utils/teamScope');
 
 const router = express.Router();
 
@@ -37,25 +41,42 @@ router.get('/reqtime', (req, res) => {
   }
 });
 
-router.post('/increment', async (req, res) => {
+// Increment stats of the authenticated LineAPIBot. The HWID comes from the session claim, not the body.
+router.post('/increment', requirePermission('stats.report'), async (req, res) => {
   try {
-    const { username, hwid, type, count } = req.body;
+    const { username, type, count } = req.body;
 
-    if (!username || !hwid || !type) {
+    if (!type) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: username, hwid, type'
+        message: 'Missing required field: type'
       });
     }
 
-    if (!['registration', 'friend', 'group', 'message'].includes(type)) {
+    if (!DailyStats.STATS_TYPES.includes(type)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid type. Must be: registration, friend, group, or message'
       });
     }
 
-    const user = await User.findOne({ user: username });
+    const incrementBy = count === undefined ? 1 : Number(count);
+    if (!Number.isInteger(incrementBy) || incrementBy < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'count must be a positive integer'
+      });
+    }
+
+    // username is still sent by older clients; it must match the token owner
+    if (username && username !== req.user.user) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot update stats of another user'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -63,7 +84,10 @@ router.post('/increment', async (req, res) => {
       });
     }
 
-    if (user.hwid && user.hwid !== hwid) {
+    const device = req.user.hwid
+      ? await Device.findOne({ user: user._id, hwid: req.user.hwid, status: 'active' })
+      : null;
+    if (!device) {
       return res.status(403).json({
         success: false,
         message: 'HWID mismatch'
@@ -73,7 +97,7 @@ router.post('/increment', async (req, res) => {
     const stats = await DailyStats.incrementStats(
       user._id,
       type,
-      count || 1
+      incrementBy
     );
 
     res.json({
@@ -91,7 +115,87 @@ router.post('/increment', async (req, res) => {
   }
 });
 
-router.get('/daily', requireAdminOrAudit, async (req, res) => {
+// Manual adjustment of a user's stats (audited)
+router.post('/adjust', [
+  requirePermission('stats.adjust'),
+  body('userId')
+    .isMongoId()
+    .withMessage('userId must be a valid MongoDB ObjectId'),
+  body('date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('date must be in YYYY-MM-DD format'),
+  body('type')
+    .isIn(DailyStats.STATS_TYPES)
+    .withMessage('Invalid type. Must be: registration, friend, group, or message'),
+  body('delta')
+    .isInt()
+    .withMessage('delta must be an integer')
+    .custom((value) => Number(value) !== 0)
+    .withMessage('delta cannot be zero'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { userId, date, type, delta, reason } = req.body;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const parts = date.split('-');
+    const statsDate = new Date(parseInt(parts[0]), parseInt(parts[1]) - 1, parseInt(parts[2]), 0, 0, 0, 0);
+
+    const result = await DailyStats.adjustStats(user._id, statsDate, type, parseInt(delta, 10));
+
+    await recordAudit(req, {
+      action: 'stats.adjust',
+      targetType: 'DailyStats',
+      target: result.stats,
+      targetName: user.user,
+      before: { [result.field]: result.previous },
+      after: { [result.field]: result.current },
+      details: {
+        user: user._id,
+        date,
+        type,
+        delta: parseInt(delta, 10),
+        reason
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Stats adjusted successfully',
+      stats: result.stats
+    });
+
+  } catch (error) {
+    console.error('Adjust stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adjusting stats'
+    });
+  }
+});
+
+router.get('/daily', requirePermission('stats.read'), async (req, res) => {
   try {
     const { date } = req.query;
     const bangkokNow = getBangkokTime();
@@ -104,7 +208,14 @@ router.get('/daily', requireAdminOrAudit, async (req, res) => {
       queryDate = new Date(bangkokNow.getFullYear(), bangkokNow.getMonth(), bangkokNow.getDate(), 0, 0, 0, 0);
     }
 
-    const stats = await DailyStats.find({ date: queryDate })
+    const query = { date: queryDate };
+    // Team-scoped users (e.g. Head) only see their own team
+    const scopedUserIds = await getScopedUserIds(await getTeamScope(req));
+    if (scopedUserIds) {
+      query.user = { $in: scopedUserIds };
+    }
+
+    const stats = await DailyStats.find(query)
       .populate('user', 'user role')
       .populate({
         path: 'user',
@@ -130,7 +241,7 @@ router.get('/daily', requireAdminOrAudit, async (req, res) => {
   }
 });
 
-router.get('/history', requireAdminOrAudit, async (req, res) => {
+router.get('/history', requirePermission('stats.read'), async (req, res) => {
   try {
     const { startDate, endDate, userId } = req.query;
 
@@ -150,8 +261,17 @@ router.get('/history', requireAdminOrAudit, async (req, res) => {
       }
     }
 
+    const scopedUserIds = await getScopedUserIds(await getTeamScope(req));
     if (userId) {
+      if (scopedUserIds && !scopedUserIds.some(id => id.toString() === userId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. User is not in your team.'
+        });
+      }
       query.user = userId;
+    } else if (scopedUserIds) {
+      query.user = { $in: scopedUserIds };
     }
 
     const stats = await DailyStats.find(query)
@@ -231,7 +351,7 @@ router.get('/my-stats', async (req, res) => {
   }
 });
 
-router.get('/summary', requireAdminOrAudit, async (req, res) => {
+router.get('/summary', requirePermission('stats.read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
@@ -251,6 +371,11 @@ router.get('/summary', requireAdminOrAudit, async (req, res) => {
       }
     }
 
+    const scopedUserIds = await getScopedUserIds(await getTeamScope(req));
+    if (scopedUserIds) {
+      matchQuery.user = { $in: scopedUserIds };
+    }
+
     const summary = await DailyStats.aggregate([
       { $match: matchQuery },
       {
@@ -282,7 +407,7 @@ router.get('/summary', requireAdminOrAudit, async (req, res) => {
 });
 
 
-router.get('/team-summary', requireAdminOrAudit, async (req, res) => {
+router.get('/team-summary', requirePermission('stats.read'), async (req, res) => {
   try {
     const { date } = req.query;
     
@@ -300,11 +425,14 @@ router.get('/team-summary', requireAdminOrAudit, async (req, res) => {
     previousDate.setDate(previousDate.getDate() - 1);
 
 
+    const scopedUserIds = await getScopedUserIds(await getTeamScope(req));
+    const userFilter = scopedUserIds ? { user: { $in: scopedUserIds } } : {};
+
     const [todayStats, yesterdayStats] = await Promise.all([
-      DailyStats.find({ date: targetDate })
+      DailyStats.find({ date: targetDate, ...userFilter })
         .populate('user', 'user role team')
         .populate({ path: 'user', populate: { path: 'team', select: 'name' } }),
-      DailyStats.find({ date: previousDate })
+      DailyStats.find({ date: previousDate, ...userFilter })
         .populate('user', 'user role team')
         .populate({ path: 'user', populate: { path: 'team', select: 'name' } })
     ]);
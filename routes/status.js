@@ -1,10 +1,23 @@
 const express = require('express');
-const User = require('../models/User');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { verifyAccessToken } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { getTeamScope } = require('../utils/teamScope');
+const eventBus = require('../utils/eventBus');
+const { getLastEventId, getEventsSince, buildStatusSnapshot } = require('../utils/statusStream');
 
 const router = express.Router();
 
+// Keep proxies from closing an idle stream
+const KEEP_ALIVE_MS = 30000;
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+};
+
 // SSE endpoint สำหรับดึงสถานะออนไลน์
+// Sends a snapshot of every user first (default "message" event), then one "status" event per changed user
+// and a "removed" event for deleted users. Reconnecting clients send Last-Event-ID to receive only missed events.
 // Note: SSE doesn't support custom headers well, so we authenticate via query param
 router.get('/online-status', async (req, res) => {
   // Set headers for SSE first
@@ -13,104 +26,136 @@ router.get('/online-status', async (req, res) => {
   res.setHeader('Connection', 'keep-alive');
   res.setHeader('X-Accel-Buffering', 'no'); // Disable buffering for nginx
 
+  let teamId = null;
+  // Authenticate via query parameter (for SSE compatibility)
+  const token = req.query.token;
+  let verified;
   try {
-    // Authenticate via query parameter (for SSE compatibility)
-    const token = req.query.token;
     if (!token) {
       res.write('event: error\ndata: {"error":"Access token is required"}\n\n');
       return res.end();
     }
 
     // Verify token manually
-    const jwt = require('jsonwebtoken');
-    const User = require('../models/User');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+    verified = await verifyAccessToken(token);
     
-    if (!user || user.role !== 'Admin') {
-      res.write('event: error\ndata: {"error":"Admin access required"}\n\n');
+    if (!verified || !(await hasPermission(verified.user.role, 'status.read'))) {
+      res.write('event: error\ndata: {"error":"Permission required: status.read"}\n\n');
       return res.end();
     }
+
+    // Optional team filter; team-scoped roles always get their own team
+    req.user = { id: verified.user._id, role: verified.user.role };
+    const scope = await getTeamScope(req);
+    if (scope) {
+      if (!scope.teamId || (req.query.teamId && req.query.teamId !== scope.teamId.toString())) {
+        res.write('event: error\ndata: {"error":"Access denied. Team is not your team."}\n\n');
+        return res.end();
+      }
+      teamId = scope.teamId.toString();
+    } else if (req.query.teamId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.teamId)) {
+        res.write('event: error\ndata: {"error":"Invalid team ID"}\n\n');
+        return res.end();
+      }
+      teamId = req.query.teamId;
+    }
   } catch (error) {
     res.write('event: error\ndata: {"error":"Invalid or expired token"}\n\n');
     return res.end();
   }
 
-  const sendStatus = async () => {
+  // A team change only removes the user from streams of the previous team
+  const matchesFilter = (event) => (teamId
+    ? event.data.teamId === teamId
+    : !(event.type === 'removed' && event.data.reason === 'teamChanged'));
+
+  // Events published while the snapshot is loading are queued and sent after it
+  let pending = [];
+  const onEvent = (event) => {
+    if (!matchesFilter(event)) return;
+    if (pending) {
+      pending.push(event);
+    } else {
+      writeEvent(res, event);
+    }
+  };
+
+  let closed = false;
+  let expiryTimer = null;
+  const closeStream = (error) => {
+    if (closed) return;
+    closed = true;
+    eventBus.off('status', onEvent);
+    eventBus.off('session.revoked', onSessionRevoked);
+    clearInterval(keepAlive);
+    clearTimeout(expiryTimer);
+    if (error) {
+      res.write(`event: error\ndata: ${JSON.stringify({ error })}\n\n`);
+    }
+    res.end();
+  };
+
+  // The stream lives only as long as its token: revoked sessions, disabled users and role changes
+  // (tokenVersion) end it, and so does a lost status.read permission
+  const revalidate = async () => {
     try {
-      const users = await User.find().populate('team', 'name');
-      const onlineThreshold = 90; // วินาที (60 + buffer 30)
-      const now = new Date();
-      
-      const statuses = users.map(user => {
-        const isOnline = user.lastHeartbeatAt && 
-          (now - new Date(user.lastHeartbeatAt)) / 1000 < onlineThreshold;
-        
-        // ถ้าออฟไลน์ ให้บันทึก heartbeatCount ล่าสุด
-        if (!isOnline && user.heartbeatCount > 0) {
-          // Update database to save last heartbeat count (async, don't wait)
-          User.findByIdAndUpdate(user._id, { 
-            lastHeartbeatCount: user.heartbeatCount,
-            heartbeatCount: 0,
-            onlineSince: null 
-          }).catch(err => 
-            console.error('Error saving last heartbeat count:', err)
-          );
-        }
-        
-        // คำนวณชั่วโมงการทำงาน
-        let heartbeatCount = 0;
-        let secondsSinceLastHeartbeat = 0;
-        
-        if (isOnline) {
-          heartbeatCount = user.heartbeatCount || 0;
-          // คำนวณวินาทีที่ผ่านไปตั้งแต่ heartbeat ล่าสุด (สูงสุด 60 วินาที)
-          if (user.lastHeartbeatAt) {
-            secondsSinceLastHeartbeat = Math.min(
-              Math.floor((now - new Date(user.lastHeartbeatAt)) / 1000),
-              60
-            );
-          }
-        } else {
-          // ใช้ lastHeartbeatCount เมื่อออฟไลน์ (ใช้ค่าที่บันทึกไว้แล้ว)
-          heartbeatCount = user.lastHeartbeatCount || 0;
-          secondsSinceLastHeartbeat = 0; // ไม่นับต่อเมื่อออฟไลน์
-        }
-        
-        // คำนวณชั่วโมง: 60 ครั้ง = 1 ชั่วโมง
-        // heartbeatCount เป็นจำนวนครั้งที่ส่งมา (แต่ละครั้ง = 60 วินาที)
-        // รวมกับวินาทีที่ผ่านไปตั้งแต่ heartbeat ล่าสุด
-        const totalSeconds = (heartbeatCount * 60) + secondsSinceLastHeartbeat;
-        
-        return {
-          userId: user._id.toString(),
-          username: user.user,
-          isOnline,
-          lastHeartbeatAt: user.lastHeartbeatAt,
-          heartbeatCount: heartbeatCount,
-          secondsSinceLastHeartbeat: isOnline ? secondsSinceLastHeartbeat : 0,
-          totalSeconds: totalSeconds
-        };
-      });
-      
-      res.write(`data: ${JSON.stringify(statuses)}\n\n`);
+      const current = await verifyAccessToken(token);
+      if (!current || !(await hasPermission(current.user.role, 'status.read'))) {
+        closeStream('Token revoked');
+      }
     } catch (error) {
-      console.error('Status error:', error);
-      res.write(`event: error\ndata: ${JSON.stringify({ error: 'Failed to fetch status' })}\n\n`);
+      closeStream('Invalid or expired token');
     }
   };
 
-  // Send initial status
-  await sendStatus();
+  const userId = verified.user._id.toString();
+  const onSessionRevoked = (event) => {
+    if (event.userId === userId) revalidate();
+  };
+
+  eventBus.on('status', onEvent);
+  eventBus.on('session.revoked', onSessionRevoked);
+
+  // Also re-checked on every keep-alive, for revocations made by another server process
+  const keepAlive = setInterval(() => {
+    res.write(': keep-alive\n\n');
+    revalidate();
+  }, KEEP_ALIVE_MS);
 
-  // Send updates every 60 seconds
-  const interval = setInterval(sendStatus, 60000);
+  if (verified.claims.exp) {
+    // setTimeout delays are limited to 32 bits; the keep-alive check covers anything longer
+    const expiresIn = Math.min(verified.claims.exp * 1000 - Date.now(), 2147483647);
+    expiryTimer = setTimeout(() => closeStream('Token expired'), Math.max(expiresIn, 0));
+  }
 
   // Clean up on client disconnect
-  req.on('close', () => {
-    clearInterval(interval);
-    res.end();
-  });
+  req.on('close', () => closeStream());
+
+  try {
+    const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+    const missed = lastEventId ? getEventsSince(lastEventId) : null;
+
+    if (missed) {
+      // Resume: only replay what the client has not seen yet
+      missed.filter(matchesFilter).forEach(event => writeEvent(res, event));
+      const lastSent = missed.length > 0 ? missed[missed.length - 1].sequence : 0;
+      pending = pending.filter(event => event.sequence > lastSent);
+    } else {
+      const snapshotId = getLastEventId();
+      const statuses = await buildStatusSnapshot({ teamId });
+      if (closed) return;
+      res.write(`id: ${snapshotId}\ndata: ${JSON.stringify(statuses)}\n\n`);
+    }
+  } catch (error) {
+    console.error('Status error:', error);
+    if (closed) return;
+    res.write(`event: error\ndata: ${JSON.stringify({ error: 'Failed to fetch status' })}\n\n`);
+  }
+
+  if (closed) return;
+  pending.forEach(event => writeEvent(res, event));
+  pending = null;
 });
 
 module.exports = router;
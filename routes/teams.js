@@ -1,7 +1,12 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Team = require('../models/Team');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const WorkSchedule = require('../models/WorkSchedule');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { toSnapshot, recordAudit } = require('../utils/auditLogger');
+const { applyFeatureOverrides, validateFeatureChanges } = require('../utils/featureFlags');
+const eventBus = require('../utils/eventBus');
+const { publishUsersStatus } = require('../utils/statusStream');
 
 const router = express.Router();
 
@@ -9,7 +14,7 @@ const router = express.Router();
 router.use(authenticateToken);
 
 // Get all teams
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('teams.read'), async (req, res) => {
   try {
     const teams = await Team.find().sort({ createdAt: -1 });
     res.json({
@@ -26,7 +31,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get single team by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('teams.read'), async (req, res) => {
   try {
     const team = await Team.findById(req.params.id);
     if (!team) {
@@ -49,9 +54,9 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create new team (Admin only)
+// Create new team
 router.post('/', [
-  requireAdmin,
+  requirePermission('teams.write'),
   body('name')
     .notEmpty()
     .withMessage('Team name is required')
@@ -92,6 +97,14 @@ router.post('/', [
 
     await newTeam.save();
 
+    await recordAudit(req, {
+      action: 'team.create',
+      targetType: 'Team',
+      target: newTeam,
+      targetName: newTeam.name,
+      after: toSnapshot(newTeam)
+    });
+
     res.status(201).json({
       success: true,
       message: 'Team created successfully',
@@ -107,9 +120,9 @@ router.post('/', [
   }
 });
 
-// Update team (Admin only)
+// Update team
 router.put('/:id', [
-  requireAdmin,
+  requirePermission('teams.write'),
   body('name')
     .optional()
     .isLength({ min: 1, max: 100 })
@@ -157,10 +170,21 @@ router.put('/:id', [
       });
     }
 
+    const before = toSnapshot(team);
+
     // Update fields
     Object.assign(team, updateData);
     await team.save();
 
+    await recordAudit(req, {
+      action: 'team.update',
+      targetType: 'Team',
+      target: team,
+      targetName: team.name,
+      before,
+      after: toSnapshot(team)
+    });
+
     res.json({
       success: true,
       message: 'Team updated successfully',
@@ -176,8 +200,87 @@ router.put('/:id', [
   }
 });
 
-// Delete team (Admin only)
-router.delete('/:id', requireAdmin, async (req, res) => {
+// Get team feature flag overrides
+router.get('/:id/features', requirePermission('teams.read'), async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      overrides: team.featureFlags
+    });
+  } catch (error) {
+    console.error('Get team features error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching team features'
+    });
+  }
+});
+
+// Set or remove (null) team-wide feature overrides
+router.patch('/:id/features', requirePermission('features.manage'), async (req, res) => {
+  try {
+    const validationMessage = validateFeatureChanges(req.body);
+    if (validationMessage) {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage
+      });
+    }
+
+    const team = await Team.findById(req.params.id);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    const before = toSnapshot(team);
+    const unknown = await applyFeatureOverrides(team, req.body);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown feature flag(s): ${unknown.join(', ')}`
+      });
+    }
+
+    await team.save();
+    eventBus.emit('features.changed', { teamId: team._id.toString() });
+    publishUsersStatus({ team: team._id }, 'features');
+
+    await recordAudit(req, {
+      action: 'team.features',
+      targetType: 'Team',
+      target: team,
+      targetName: team.name,
+      before,
+      after: toSnapshot(team)
+    });
+
+    res.json({
+      success: true,
+      message: 'Team feature flags updated',
+      overrides: team.featureFlags
+    });
+  } catch (error) {
+    console.error('Update team features error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating team features'
+    });
+  }
+});
+
+// Delete team
+router.delete('/:id', requirePermission('teams.write'), async (req, res) => {
   try {
     const team = await Team.findById(req.params.id);
     if (!team) {
@@ -198,6 +301,15 @@ router.delete('/:id', requireAdmin, async (req, res) => {
     }
 
     await Team.findByIdAndDelete(req.params.id);
+    await WorkSchedule.deleteMany({ scope: 'team', team: req.params.id });
+
+    await recordAudit(req, {
+      action: 'team.delete',
+      targetType: 'Team',
+      target: team,
+      targetName: team.name,
+      before: toSnapshot(team)
+    });
 
     res.json({
       success: true,
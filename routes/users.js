@@ -1,20 +1,50 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const RefreshToken = require('../models/RefreshToken');
+const LoginEvent = require('../models/LoginEvent');
+const Device = require('../models/Device');
+const BotCommand = require('../models/BotCommand');
+const WorkSchedule = require('../models/WorkSchedule');
+const Telemetry = require('../models/Telemetry');
+const WorkSession = require('../models/WorkSession');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { toSnapshot, recordAudit } = require('../utils/auditLogger');
+const { passwordPolicyValidator } = require('../utils/passwordPolicy');
+const { publishUserStatus, publishUserRemoved } = require('../utils/statusStream');
+const eventBus = require('../utils/eventBus');
+const {
+  createFeatureResolver,
+  resolveFeatureFlags,
+  toLegacyFeatureFields,
+  applyFeatureOverrides,
+  validateFeatureChanges
+} = require('../utils/featureFlags');
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(authenticateToken);
 
-// Get all users (Admin only)
-router.get('/', requireAdmin, async (req, res) => {
+// Get all users
+router.get('/', requirePermission('users.read'), async (req, res) => {
   try {
     const users = await User.find().populate('team', 'name').sort({ createdAt: -1 });
+    const openCommands = await BotCommand.getOpenTypesByUser(users.map(user => user._id));
+    const resolveFeatures = await createFeatureResolver();
+    const usersWithFeatures = [];
+    for (const user of users) {
+      const { flags } = await resolveFeatures(user);
+      usersWithFeatures.push({
+        ...user.toJSON(),
+        features: flags,
+        ...toLegacyFeatureFields(flags),
+        pendingCommands: openCommands.get(user._id.toString()) || []
+      });
+    }
     res.json({
       success: true,
-      users
+      users: usersWithFeatures
     });
   } catch (error) {
     console.error('Get users error:', error);
@@ -25,8 +55,8 @@ router.get('/', requireAdmin, async (req, res) => {
   }
 });
 
-// Get single user by ID (Admin only)
-router.get('/:id', requireAdmin, async (req, res) => {
+// Get single user by ID
+router.get('/:id', requirePermission('users.read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).populate('team', 'name');
     if (!user) {
@@ -36,9 +66,17 @@ router.get('/:id', requireAdmin, async (req, res) => {
       });
     }
 
+    const openCommands = await BotCommand.getOpenTypesByUser([user._id]);
+    const { flags } = await resolveFeatureFlags(user);
+
     res.json({
       success: true,
-      user
+      user: {
+        ...user.toJSON(),
+        features: flags,
+        ...toLegacyFeatureFields(flags),
+        pendingCommands: openCommands.get(user._id.toString()) || []
+      }
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -49,9 +87,171 @@ router.get('/:id', requireAdmin, async (req, res) => {
   }
 });
 
-// Create new user (Admin only)
+// Get login history of a user
+router.get('/:id/logins', requirePermission('users.activity.read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const query = { user: user._id };
+    if (req.query.success === 'true' || req.query.success === 'false') {
+      query.success = req.query.success === 'true';
+    }
+
+    const [logins, total] = await Promise.all([
+      LoginEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LoginEvent.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      logins,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching login history'
+    });
+  }
+});
+
+// Get active sessions of a user
+router.get('/:id/sessions', requirePermission('users.activity.read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sessions = await RefreshToken.find({
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// Get heartbeat telemetry of a user (from/to are ISO dates, default: last 24 hours)
+router.get('/:id/telemetry', requirePermission('users.activity.read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates and from must not be after to'
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 2000);
+    // Newest samples first so the limit keeps the moments closest to "to"
+    const samples = await Telemetry.find({
+      user: user._id,
+      createdAt: { $gte: from, $lte: to }
+    })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      from,
+      to,
+      lastHeartbeatAt: user.lastHeartbeatAt,
+      telemetry: samples.reverse()
+    });
+  } catch (error) {
+    console.error('Get telemetry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching telemetry'
+    });
+  }
+});
+
+// End a single session of a user
+router.delete('/:id/sessions/:sessionId', requirePermission('users.write'), async (req, res) => {
+  try {
+    const session = await RefreshToken.findOne({
+      _id: req.params.sessionId,
+      user: req.params.id
+    });
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    session.revokedAt = new Date();
+    await session.save();
+
+    await recordAudit(req, {
+      action: 'user.session-end',
+      targetType: 'User',
+      target: session.user,
+      details: {
+        session: session._id,
+        clientType: session.clientType,
+        hwid: session.hwid,
+        lastUsedIP: session.lastUsedIP
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Session ended successfully'
+    });
+  } catch (error) {
+    console.error('End session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while ending session'
+    });
+  }
+});
+
+// Create new user
 router.post('/', [
-  requireAdmin,
+  requirePermission('users.write'),
   body('user')
     .notEmpty()
     .withMessage('Username is required')
@@ -60,8 +260,7 @@ router.post('/', [
   body('password')
     .notEmpty()
     .withMessage('Password is required')
-    .isLength({ min: 4 })
-    .withMessage('Password must be at least 4 characters long'),
+    .custom(passwordPolicyValidator),
   body('role')
     .notEmpty()
     .withMessage('Role is required')
@@ -70,7 +269,11 @@ router.post('/', [
   body('team')
     .optional({ nullable: true, checkFalsy: true })
     .isMongoId()
-    .withMessage('Team must be a valid MongoDB ObjectId')
+    .withMessage('Team must be a valid MongoDB ObjectId'),
+  body('mustChangePassword')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('mustChangePassword must be a boolean')
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -83,7 +286,7 @@ router.post('/', [
       });
     }
 
-    const { user, password, role, team } = req.body;
+    const { user, password, role, team, mustChangePassword } = req.body;
 
     // Check if username already exists
     const existingUser = await User.findOne({ user });
@@ -111,14 +314,25 @@ router.post('/', [
       user,
       password,
       role,
-      team: team || null
+      team: team || null,
+      mustChangePassword: mustChangePassword === true
     });
 
     await newUser.save();
+
+    await recordAudit(req, {
+      action: 'user.create',
+      targetType: 'User',
+      target: newUser,
+      targetName: newUser.user,
+      after: toSnapshot(newUser)
+    });
     
     // Populate team for response
     await newUser.populate('team', 'name');
 
+    publishUserStatus(newUser._id, 'created');
+
     res.status(201).json({
       success: true,
       message: 'User created successfully',
@@ -134,13 +348,12 @@ router.post('/', [
   }
 });
 
-// Update user (Admin only)
+// Update user
 router.put('/:id', [
-  requireAdmin,
+  requirePermission('users.write'),
   body('password')
     .optional()
-    .isLength({ min: 4 })
-    .withMessage('Password must be at least 4 characters long'),
+    .custom(passwordPolicyValidator),
   body('role')
     .optional()
     .isIn(['Admin', 'Audit', 'Head', 'User'])
@@ -151,7 +364,11 @@ router.put('/:id', [
       if (value === null || value === '') return true; // Allow null/empty to remove team
       return require('mongoose').Types.ObjectId.isValid(value);
     })
-    .withMessage('Team must be a valid MongoDB ObjectId or empty')
+    .withMessage('Team must be a valid MongoDB ObjectId or empty'),
+  body('mustChangePassword')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('mustChangePassword must be a boolean')
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -164,12 +381,15 @@ router.put('/:id', [
       });
     }
 
-    const { password, role, team } = req.body;
+    const { password, role, team, mustChangePassword } = req.body;
     const updateData = {};
 
     if (password) {
       updateData.password = password;
     }
+    if (mustChangePassword !== undefined) {
+      updateData.mustChangePassword = mustChangePassword;
+    }
     if (role) {
       updateData.role = role;
     }
@@ -200,13 +420,39 @@ router.put('/:id', [
       });
     }
 
+    if (password && await user.isPasswordReused(password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must not match a recently used password'
+      });
+    }
+
+    const before = toSnapshot(user);
+    const previousTeamId = user.team ? user.team.toString() : null;
+
     // Update fields
     Object.assign(user, updateData);
     await user.save();
+
+    await recordAudit(req, {
+      action: 'user.update',
+      targetType: 'User',
+      target: user,
+      targetName: user.user,
+      before,
+      after: toSnapshot(user),
+      details: password ? { passwordChanged: true } : null
+    });
     
     // Populate team for response
     await user.populate('team', 'name');
 
+    const currentTeamId = user.team ? (user.team._id || user.team).toString() : null;
+    if (previousTeamId !== currentTeamId) {
+      publishUserRemoved(user, { teamId: previousTeamId, reason: 'teamChanged' });
+    }
+    publishUserStatus(user._id, 'updated');
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -222,8 +468,8 @@ router.put('/:id', [
   }
 });
 
-// Delete user (Admin only)
-router.delete('/:id', requireAdmin, async (req, res) => {
+// Delete user
+router.delete('/:id', requirePermission('users.write'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
@@ -245,6 +491,22 @@ router.delete('/:id', requireAdmin, async (req, res) => {
     }
 
     await User.findByIdAndDelete(req.params.id);
+    await RefreshToken.deleteMany({ user: req.params.id });
+    await Device.deleteMany({ user: req.params.id });
+    await BotCommand.deleteMany({ user: req.params.id });
+    await WorkSchedule.deleteMany({ scope: 'user', user: req.params.id });
+    await Telemetry.deleteMany({ user: req.params.id });
+    await WorkSession.deleteMany({ user: req.params.id });
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'User',
+      target: user,
+      targetName: user.user,
+      before: toSnapshot(user)
+    });
+
+    publishUserRemoved(user);
 
     res.json({
       success: true,
@@ -260,57 +522,83 @@ router.delete('/:id', requireAdmin, async (req, res) => {
   }
 });
 
-// Toggle feature Farm (Admin only) - shows/hides "จัดการไลน์ไก่" in LineAPIBot
-router.patch('/:id/feature-farm', requireAdmin, async (req, res) => {
+// Apply feature overrides to a user, audit the change and return the resolved flags
+const updateUserFeatures = async (req, user, changes, action) => {
+  const before = toSnapshot(user);
+  const unknown = await applyFeatureOverrides(user, changes);
+  if (unknown.length > 0) {
+    return { unknown };
+  }
+
+  await user.save();
+  await recordAudit(req, {
+    action,
+    targetType: 'User',
+    target: user,
+    targetName: user.user,
+    before,
+    after: toSnapshot(user)
+  });
+
+  publishUserStatus(user._id, 'features');
+  eventBus.emit('features.changed', { userId: user._id.toString() });
+  return await resolveFeatureFlags(user);
+};
+
+// Get merged feature flags of a user (with the source of each value)
+router.get('/:id/features', requirePermission('users.read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
-    const { enabled } = req.body;
-    if (typeof enabled !== 'boolean') {
-      return res.status(400).json({ success: false, message: 'enabled must be a boolean' });
-    }
-    user.featureFarm = enabled;
-    await user.save();
-    await user.populate('team', 'name');
+
+    const { flags, sources } = await resolveFeatureFlags(user);
     res.json({
       success: true,
-      message: enabled ? 'ฟาม เปิดใช้งาน' : 'ฟาม ปิดใช้งาน',
-      user
+      features: flags,
+      sources,
+      overrides: user.featureFlags
     });
   } catch (error) {
-    console.error('Toggle feature-farm error:', error);
+    console.error('Get user features error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Toggle feature Board (Admin only) - shows/hides "+เพิ่มบัญชี" in LineAPIBot
-router.patch('/:id/feature-board', requireAdmin, async (req, res) => {
+// Set or remove (null) per-user feature overrides
+router.patch('/:id/features', requirePermission('users.features'), async (req, res) => {
   try {
+    const validationMessage = validateFeatureChanges(req.body);
+    if (validationMessage) {
+      return res.status(400).json({ success: false, message: validationMessage });
+    }
+
     const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
-    const { enabled } = req.body;
-    if (typeof enabled !== 'boolean') {
-      return res.status(400).json({ success: false, message: 'enabled must be a boolean' });
+
+    const result = await updateUserFeatures(req, user, req.body, 'user.features');
+    if (result.unknown) {
+      return res.status(400).json({ success: false, message: `Unknown feature flag(s): ${result.unknown.join(', ')}` });
     }
-    user.featureBoard = enabled;
-    await user.save();
-    await user.populate('team', 'name');
+
     res.json({
       success: true,
-      message: enabled ? 'บอร์ด เปิดใช้งาน' : 'บอร์ด ปิดใช้งาน',
-      user
+      message: 'Feature flags updated',
+      features: result.flags,
+      sources: result.sources,
+      overrides: user.featureFlags
     });
   } catch (error) {
-    console.error('Toggle feature-board error:', error);
+    console.error('Update user features error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-router.patch('/:id/feature-local-data', requireAdmin, async (req, res) => {
+// Old single-feature toggles, kept for the current admin UI (they set a user override)
+const legacyFeatureToggle = (flagKey, action, label) => async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
@@ -320,22 +608,39 @@ router.patch('/:id/feature-local-data', requireAdmin, async (req, res) => {
     if (typeof enabled !== 'boolean') {
       return res.status(400).json({ success: false, message: 'enabled must be a boolean' });
     }
-    user.featureLocalData = enabled;
-    await user.save();
+
+    // The built-in flag definition may have been deleted
+    const result = await updateUserFeatures(req, user, { [flagKey]: enabled }, action);
+    if (result.unknown) {
+      return res.status(400).json({ success: false, message: `Unknown feature flag(s): ${result.unknown.join(', ')}` });
+    }
+    const { flags } = result;
     await user.populate('team', 'name');
     res.json({
       success: true,
-      message: enabled ? 'Local DATA เปิดใช้งาน' : 'Local DATA ปิดใช้งาน',
-      user
+      message: enabled ? `${label} เปิดใช้งาน` : `${label} ปิดใช้งาน`,
+      user: {
+        ...user.toJSON(),
+        features: flags,
+        ...toLegacyFeatureFields(flags)
+      }
     });
   } catch (error) {
-    console.error('Toggle feature-local-data error:', error);
+    console.error(`Toggle ${action} error:`, error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
-});
+};
+
+// Toggle feature Farm - shows/hides "จัดการไลน์ไก่" in LineAPIBot
+router.patch('/:id/feature-farm', requirePermission('users.features'), legacyFeatureToggle('farm', 'user.feature-farm', 'ฟาม'));
+
+// Toggle feature Board - shows/hides "+เพิ่มบัญชี" in LineAPIBot
+router.patch('/:id/feature-board', requirePermission('users.features'), legacyFeatureToggle('board', 'user.feature-board', 'บอร์ด'));
 
-// Toggle account enabled/disabled (Admin only) - affects LineAPIBot login only
-router.patch('/:id/enabled', requireAdmin, async (req, res) => {
+router.patch('/:id/feature-local-data', requirePermission('users.features'), legacyFeatureToggle('localData', 'user.feature-local-data', 'Local DATA'));
+
+// Toggle account enabled/disabled - affects LineAPIBot login only
+router.patch('/:id/enabled', requirePermission('users.write'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
@@ -364,10 +669,21 @@ router.patch('/:id/enabled', requireAdmin, async (req, res) => {
       }
     }
 
+    const before = toSnapshot(user);
     user.enabled = enabled;
     await user.save();
+    await recordAudit(req, {
+      action: 'user.enabled',
+      targetType: 'User',
+      target: user,
+      targetName: user.user,
+      before,
+      after: toSnapshot(user)
+    });
     await user.populate('team', 'name');
 
+    publishUserStatus(user._id, 'enabled');
+
     res.json({
       success: true,
       message: enabled ? 'Account enabled' : 'Account disabled',
@@ -383,8 +699,8 @@ router.patch('/:id/enabled', requireAdmin, async (req, res) => {
   }
 });
 
-// Toggle shutdown command (Admin only)
-router.post('/:id/shutdown', requireAdmin, async (req, res) => {
+// Toggle shutdown command - cancels an open shutdown command, otherwise queues one
+router.post('/:id/shutdown', requirePermission('bots.command'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
@@ -394,25 +710,50 @@ router.post('/:id/shutdown', requireAdmin, async (req, res) => {
       });
     }
 
-    if (user.pendingCommand === 'shutdown') {
-      user.pendingCommand = null;
-      await user.save();
+    await BotCommand.expireStale({ user: user._id });
+    const openShutdown = await BotCommand.findOne({
+      user: user._id,
+      type: 'shutdown',
+      status: { $in: BotCommand.OPEN_STATUSES }
+    });
+
+    if (openShutdown) {
+      openShutdown.status = 'cancelled';
+      openShutdown.completedAt = new Date();
+      await openShutdown.save();
+      await recordAudit(req, {
+        action: 'command.cancel',
+        targetType: 'BotCommand',
+        target: openShutdown,
+        targetName: user.user,
+        details: { user: user._id, type: 'shutdown' }
+      });
       await user.populate('team', 'name');
       
+      publishUserStatus(user._id, 'command');
       return res.json({
         success: true,
         message: 'Shutdown command cancelled',
-        user
+        user,
+        command: openShutdown
       });
     } else {
-      user.pendingCommand = 'shutdown';
-      await user.save();
+      const command = await BotCommand.queue(user._id, 'shutdown', { createdBy: req.user.id });
+      await recordAudit(req, {
+        action: 'command.queue',
+        targetType: 'BotCommand',
+        target: command,
+        targetName: user.user,
+        details: { user: user._id, type: 'shutdown' }
+      });
       await user.populate('team', 'name');
       
+      publishUserStatus(user._id, 'command');
       return res.json({
         success: true,
         message: 'Shutdown command set',
-        user
+        user,
+        command
       });
     }
 
@@ -425,9 +766,75 @@ router.post('/:id/shutdown', requireAdmin, async (req, res) => {
   }
 });
 
-// Reset HWID (Admin only)
-router.post('/:id/reset-hwid', requireAdmin, async (req, res) => {
+// Command history of a user
+router.get('/:id/commands', requirePermission('bots.command'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { status } = req.query;
+    if (status !== undefined && !BotCommand.COMMAND_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${BotCommand.COMMAND_STATUSES.join(', ')}`
+      });
+    }
+
+    await BotCommand.expireStale({ user: user._id });
+
+    const query = { user: user._id };
+    if (status) {
+      query.status = status;
+    }
+
+    const commands = await BotCommand.find(query)
+      .populate('createdBy', 'user')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200));
+
+    res.json({
+      success: true,
+      commands
+    });
+  } catch (error) {
+    console.error('Get commands error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching commands'
+    });
+  }
+});
+
+// Queue a command for a user's bot
+router.post('/:id/commands', [
+  requirePermission('bots.command'),
+  body('type')
+    .isIn(BotCommand.COMMAND_TYPES)
+    .withMessage(`Type must be one of: ${BotCommand.COMMAND_TYPES.join(', ')}`),
+  body('args')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('args must be an object'),
+  body('expiresInMinutes')
+    .optional()
+    .isInt({ min: 1, max: 10080 })
+    .withMessage('expiresInMinutes must be between 1 and 10080')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
     const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({
@@ -436,8 +843,111 @@ router.post('/:id/reset-hwid', requireAdmin, async (req, res) => {
       });
     }
 
+    const { type, args, expiresInMinutes } = req.body;
+    const command = await BotCommand.queue(user._id, type, {
+      args: args || null,
+      createdBy: req.user.id,
+      expiresInMinutes: expiresInMinutes ? parseInt(expiresInMinutes, 10) : undefined
+    });
+
+    await recordAudit(req, {
+      action: 'command.queue',
+      targetType: 'BotCommand',
+      target: command,
+      targetName: user.user,
+      details: { user: user._id, type, args: args || null }
+    });
+
+    publishUserStatus(user._id, 'command');
+
+    res.status(201).json({
+      success: true,
+      message: 'Command queued successfully',
+      command
+    });
+  } catch (error) {
+    console.error('Queue command error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while queuing command'
+    });
+  }
+});
+
+// Cancel an open command
+router.delete('/:id/commands/:commandId', requirePermission('bots.command'), async (req, res) => {
+  try {
+    const command = await BotCommand.findOne({ _id: req.params.commandId, user: req.params.id });
+    if (!command) {
+      return res.status(404).json({
+        success: false,
+        message: 'Command not found'
+      });
+    }
+
+    if (!BotCommand.OPEN_STATUSES.includes(command.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Command is already ${command.status}`
+      });
+    }
+
+    command.status = 'cancelled';
+    command.completedAt = new Date();
+    await command.save();
+
+    await recordAudit(req, {
+      action: 'command.cancel',
+      targetType: 'BotCommand',
+      target: command,
+      details: { user: command.user, type: command.type }
+    });
+
+    publishUserStatus(command.user, 'command');
+
+    res.json({
+      success: true,
+      message: 'Command cancelled',
+      command
+    });
+  } catch (error) {
+    console.error('Cancel command error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling command'
+    });
+  }
+});
+
+// Reset HWID - releases every bound device so the account can bind a machine again
+router.post('/:id/reset-hwid', requirePermission('users.write'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await Device.ensureLegacyDevice(user);
+    const released = await Device.updateMany(
+      { user: user._id, status: 'active' },
+      { status: 'released', releasedAt: new Date() }
+    );
+
+    const before = toSnapshot(user);
     user.hwid = null;
     await user.save();
+    await recordAudit(req, {
+      action: 'user.reset-hwid',
+      targetType: 'User',
+      target: user,
+      targetName: user.user,
+      before,
+      after: toSnapshot(user),
+      details: { releasedDevices: released.modifiedCount }
+    });
 
     res.json({
       success: true,
@@ -454,4 +964,289 @@ router.post('/:id/reset-hwid', requireAdmin, async (req, res) => {
   }
 });
 
+// List devices (current and past) bound to a user
+router.get('/:id/devices', requirePermission('users.read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await Device.ensureLegacyDevice(user);
+    const devices = await Device.find({ user: user._id })
+      .populate('revokedBy', 'user')
+      .sort({ lastSeenAt: -1 });
+
+    res.json({
+      success: true,
+      devices,
+      maxDevices: user.maxDevices || Device.getDefaultMaxDevices(),
+      activeCount: devices.filter(device => device.status === 'active').length
+    });
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching devices'
+    });
+  }
+});
+
+// Set device allowance of a user (null restores the default)
+router.put('/:id/max-devices', [
+  requirePermission('users.write'),
+  body('maxDevices')
+    .custom((value) => value === null || (Number.isInteger(value) && value >= 1))
+    .withMessage('maxDevices must be a positive integer or null')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const before = toSnapshot(user);
+    user.maxDevices = req.body.maxDevices;
+    await user.save();
+    await recordAudit(req, {
+      action: 'user.max-devices',
+      targetType: 'User',
+      target: user,
+      targetName: user.user,
+      before,
+      after: toSnapshot(user)
+    });
+
+    res.json({
+      success: true,
+      message: 'Device allowance updated successfully',
+      maxDevices: user.maxDevices || Device.getDefaultMaxDevices()
+    });
+  } catch (error) {
+    console.error('Update max devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating device allowance'
+    });
+  }
+});
+
+// Label a device
+router.patch('/:id/devices/:deviceId', [
+  requirePermission('users.write'),
+  body('label')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Label must be a string')
+    .isLength({ max: 100 })
+    .withMessage('Label cannot exceed 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const device = await Device.findOne({ _id: req.params.deviceId, user: req.params.id });
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const before = toSnapshot(device);
+    device.label = req.body.label || null;
+    await device.save();
+    await recordAudit(req, {
+      action: 'device.label',
+      targetType: 'Device',
+      target: device,
+      targetName: device.hwid,
+      before,
+      after: toSnapshot(device)
+    });
+
+    res.json({
+      success: true,
+      message: 'Device updated successfully',
+      device
+    });
+  } catch (error) {
+    console.error('Update device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating device'
+    });
+  }
+});
+
+// Revoke a device - it can no longer log in to this account and its sessions are ended
+router.post('/:id/devices/:deviceId/revoke', requirePermission('users.write'), async (req, res) => {
+  try {
+    const device = await Device.findOne({ _id: req.params.deviceId, user: req.params.id });
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    if (device.status === 'revoked') {
+      return res.status(400).json({
+        success: false,
+        message: 'Device is already revoked'
+      });
+    }
+
+    const before = toSnapshot(device);
+    device.status = 'revoked';
+    device.revokedAt = new Date();
+    device.revokedBy = req.user.id;
+    await device.save();
+
+    await RefreshToken.updateMany(
+      { user: device.user, hwid: device.hwid, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    eventBus.emit('session.revoked', { userId: device.user.toString() });
+
+    const user = await User.findById(device.user);
+    if (user && user.hwid === device.hwid) {
+      user.hwid = null;
+      await user.save();
+    }
+
+    await recordAudit(req, {
+      action: 'device.revoke',
+      targetType: 'Device',
+      target: device,
+      targetName: device.hwid,
+      before,
+      after: toSnapshot(device),
+      details: { user: device.user }
+    });
+
+    res.json({
+      success: true,
+      message: 'Device revoked successfully',
+      device
+    });
+  } catch (error) {
+    console.error('Revoke device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking device'
+    });
+  }
+});
+
+// Lift a revocation; the device is released and binds again on its next login (within the device allowance)
+router.post('/:id/devices/:deviceId/restore', requirePermission('users.write'), async (req, res) => {
+  try {
+    const device = await Device.findOne({ _id: req.params.deviceId, user: req.params.id });
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    if (device.status !== 'revoked') {
+      return res.status(400).json({
+        success: false,
+        message: 'Device is not revoked'
+      });
+    }
+
+    const before = toSnapshot(device);
+    device.status = 'released';
+    device.releasedAt = new Date();
+    await device.save();
+
+    await recordAudit(req, {
+      action: 'device.restore',
+      targetType: 'Device',
+      target: device,
+      targetName: device.hwid,
+      before,
+      after: toSnapshot(device),
+      details: { user: device.user }
+    });
+
+    res.json({
+      success: true,
+      message: 'Device restored successfully',
+      device
+    });
+  } catch (error) {
+    console.error('Restore device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring device'
+    });
+  }
+});
+
+// Reset two-factor authentication for a user who lost their device
+router.post('/:id/reset-2fa', requirePermission('users.write'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const before = toSnapshot(user);
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorLastStep = null;
+    user.twoFactorRecoveryCodes = [];
+    await user.save();
+    await recordAudit(req, {
+      action: 'user.reset-2fa',
+      targetType: 'User',
+      target: user,
+      targetName: user.user,
+      before,
+      after: toSnapshot(user)
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully',
+      user
+    });
+
+  } catch (error) {
+    console.error('Reset 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting two-factor authentication'
+    });
+  }
+});
+
 module.exports = router;
@@ -3,6 +3,14 @@ const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/database');
 const seedDefaultAdmin = require('./utils/seedAdmin');
+const migrateLegacyCommands = require('./utils/migrateLegacyCommands');
+const migrateFeatureFlags = require('./utils/migrateFeatureFlags');
+const migratePhoneAssignments = require('./utils/migratePhoneAssignments');
+const syncTtlIndexes = require('./utils/syncTtlIndexes');
+const { startScheduleEnforcer } = require('./utils/scheduleEnforcer');
+const { startOfflineDetector } = require('./utils/offlineDetector');
+const { attachBotSocket, SOCKET_PATH } = require('./utils/botSocket');
+const { parseTrustProxy } = require('./utils/requestHelper');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -12,10 +20,21 @@ const statsRoutes = require('./routes/stats');
 const heartbeatRoutes = require('./routes/heartbeat');
 const statusRoutes = require('./routes/status');
 const phoneDataRoutes = require('./routes/phoneData');
+const auditRoutes = require('./routes/audit');
+const permissionRoutes = require('./routes/permissions');
+const commandRoutes = require('./routes/commands');
+const featureFlagRoutes = require('./routes/featureFlags');
+const clientVersionRoutes = require('./routes/clientVersions');
+const scheduleRoutes = require('./routes/schedules');
+const attendanceRoutes = require('./routes/attendance');
+const phoneBlocklistRoutes = require('./routes/phoneBlocklist');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Client IPs (login limits, audit log) come from X-Forwarded-For only behind a configured proxy
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Middleware
 app.use(cors({
   origin: [
@@ -46,6 +65,14 @@ app.use('/api/stats', statsRoutes);
 app.use('/api/heartbeat', heartbeatRoutes);
 app.use('/api/status', statusRoutes);
 app.use('/api/phone-data', phoneDataRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/permissions', permissionRoutes);
+app.use('/api/commands', commandRoutes);
+app.use('/api/feature-flags', featureFlagRoutes);
+app.use('/api/client-versions', clientVersionRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/phone-blocklist', phoneBlocklistRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -74,13 +101,35 @@ const startServer = async () => {
     
     // Seed default admin user
     await seedDefaultAdmin();
+
+    // Move old single pending commands into the command queue
+    await migrateLegacyCommands();
+
+    // Create built-in feature flags and move old per-user feature fields into the flag map
+    await migrateFeatureFlags();
+
+    // Build the phone number index used for duplicate detection from existing uploads
+    await migratePhoneAssignments();
+
+    // Apply changed retention settings to the existing TTL indexes
+    await syncTtlIndexes();
+
+    // Shut down bots that are online outside their working hours
+    startScheduleEnforcer();
+
+    // Mark bots offline when their heartbeats stop (independent of open status streams)
+    startOfflineDetector();
     
     // Start listening
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Health check: http://localhost:${PORT}/api/health`);
+      console.log(`Bot WebSocket: ws://localhost:${PORT}${SOCKET_PATH}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
     });
+
+    // WebSocket channel for LineAPIBot (HTTP heartbeat stays available as a fallback)
+    attachBotSocket(server);
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
@@ -0,0 +1,79 @@
+const { getBangkokTime, formatBangkokDate } = require('./dateHelper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Start of a Bangkok calendar day (YYYY-MM-DD) as an absolute time
+const bangkokDayStart = (date) => new Date(`${date}T00:00:00+07:00`);
+// YYYY-MM-DD of the Bangkok day that starts at the given time
+const toBangkokDate = (dayStart) => new Date(dayStart + 7 * 60 * 60 * 1000).toISOString().substring(0, 10);
+
+/**
+ * Resolve startDate/endDate query values (YYYY-MM-DD, Bangkok days).
+ * Defaults to the last 7 days including today. Returns { startDate, endDate, from, to } or { error }.
+ */
+function resolveDateRange({ startDate, endDate }) {
+  const today = formatBangkokDate(getBangkokTime());
+  const end = endDate || today;
+  const start = startDate || toBangkokDate(bangkokDayStart(end).getTime() - 6 * DAY_MS);
+
+  if (!DATE_PATTERN.test(start) || !DATE_PATTERN.test(end) ||
+    isNaN(bangkokDayStart(start).getTime()) || isNaN(bangkokDayStart(end).getTime())) {
+    return { error: 'startDate and endDate must be YYYY-MM-DD' };
+  }
+
+  const from = bangkokDayStart(start);
+  const to = new Date(bangkokDayStart(end).getTime() + DAY_MS);
+  if (from >= to) {
+    return { error: 'startDate must not be after endDate' };
+  }
+  if ((to - from) / DAY_MS > MAX_RANGE_DAYS) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { startDate: start, endDate: end, from, to };
+}
+
+/**
+ * Sum online time of work sessions per Bangkok day. Sessions crossing midnight are split between days.
+ * Open sessions count until their last heartbeat.
+ */
+function buildDailyAttendance(sessions, { from, to }) {
+  const days = [];
+  for (let dayStart = from.getTime(); dayStart < to.getTime(); dayStart += DAY_MS) {
+    days.push({ start: dayStart, end: dayStart + DAY_MS, onlineSeconds: 0, sessions: 0 });
+  }
+
+  for (const session of sessions) {
+    const sessionStart = new Date(session.startedAt).getTime();
+    const sessionEnd = new Date(session.endedAt || session.lastHeartbeatAt).getTime();
+
+    for (const day of days) {
+      const overlap = Math.min(sessionEnd, day.end) - Math.max(sessionStart, day.start);
+      if (overlap > 0 || (sessionStart >= day.start && sessionStart < day.end)) {
+        day.onlineSeconds += Math.max(overlap, 0) / 1000;
+        day.sessions += 1;
+      }
+    }
+  }
+
+  const daily = days.map(day => ({
+    date: toBangkokDate(day.start),
+    onlineSeconds: Math.round(day.onlineSeconds),
+    onlineHours: Math.round(day.onlineSeconds / 36) / 100,
+    sessions: day.sessions
+  }));
+  const totalSeconds = daily.reduce((sum, day) => sum + day.onlineSeconds, 0);
+
+  return {
+    daily,
+    totalSeconds,
+    totalHours: Math.round(totalSeconds / 36) / 100
+  };
+}
+
+module.exports = {
+  resolveDateRange,
+  buildDailyAttendance
+};
@@ -0,0 +1,71 @@
+const AuditLog = require('../models/AuditLog');
+const { getClientIP } = require('./requestHelper');
+
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Convert a mongoose document (or plain object) to a JSON-safe snapshot
+ */
+function toSnapshot(doc, omit = []) {
+  if (!doc) return null;
+  const obj = typeof doc.toJSON === 'function' ? doc.toJSON() : doc;
+  const snapshot = JSON.parse(JSON.stringify(obj));
+  for (const field of [...IGNORED_FIELDS, ...omit]) {
+    delete snapshot[field];
+  }
+  return snapshot;
+}
+
+/**
+ * Keep only the fields that differ between two snapshots
+ */
+function diffSnapshots(before, after) {
+  if (!before || !after) {
+    return { before, after };
+  }
+
+  const changedBefore = {};
+  const changedAfter = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const key of keys) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changedBefore[key] = before[key] === undefined ? null : before[key];
+      changedAfter[key] = after[key] === undefined ? null : after[key];
+    }
+  }
+
+  return { before: changedBefore, after: changedAfter };
+}
+
+/**
+ * Record an administrative action. Failures are logged and never break the request.
+ * The actor is the authenticated user unless given explicitly (e.g. during login).
+ */
+async function recordAudit(req, { action, targetType = null, target = null, targetName = null, before = null, after = null, details = null, actor = null }) {
+  try {
+    const diff = diffSnapshots(before, after);
+    const actorId = actor ? actor._id : (req.user ? req.user.id : null);
+    const actorName = actor ? actor.user : (req.user ? req.user.user : null);
+    await AuditLog.create({
+      actor: actorId,
+      actorName,
+      action,
+      targetType,
+      targetId: target ? target._id || target : null,
+      targetName,
+      before: diff.before,
+      after: diff.after,
+      details,
+      ip: getClientIP(req)
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+}
+
+module.exports = {
+  toSnapshot,
+  diffSnapshots,
+  recordAudit
+};
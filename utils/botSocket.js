@@ -0,0 +1,246 @@
+const { WebSocketServer } = require('ws');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { verifyAccessToken } = require('../middleware/auth');
+const eventBus = require('./eventBus');
+const { createFeatureResolver, toLegacyFeatureFields } = require('./featureFlags');
+const {
+  deliverCommands,
+  getPendingPhoneData,
+  recordHeartbeat,
+  acknowledgeCommand,
+  markUserOffline
+} = require('./heartbeat');
+
+const SOCKET_PATH = '/api/ws/bot';
+// Same interval as the HTTP heartbeat, so heartbeatCount keeps meaning "minutes online"
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+// A bot that sent its own heartbeat within this time is not given server-side heartbeats
+const BOT_BEAT_TIMEOUT_MS = 90 * 1000;
+// Bots only send small JSON messages (heartbeat, ack)
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+
+// userId -> Set of open sockets
+const connections = new Map();
+// userId -> time of the last recorded heartbeat (HTTP heartbeats of connected bots are not tracked)
+const lastBeats = new Map();
+// userId -> time of the last heartbeat message sent by the bot itself
+const botBeats = new Map();
+
+const send = (socket, message) => {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const sendToUser = (userId, message) => {
+  const sockets = connections.get(userId);
+  if (!sockets) return;
+  sockets.forEach(socket => send(socket, message));
+};
+
+const isUserConnected = (userId) => connections.has(userId);
+
+const getToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1];
+  }
+  return new URL(req.url, 'http://localhost').searchParams.get('token');
+};
+
+// The session may be revoked or the password changed while the socket stays open
+const isSessionStillValid = async ({ claims }) => {
+  const user = await User.findById(claims.userId).select('tokenVersion');
+  if (!user || (claims.tokenVersion || 0) !== (user.tokenVersion || 0)) return false;
+  if (!claims.sessionId) return true;
+
+  const session = await RefreshToken.findById(claims.sessionId);
+  return Boolean(session && session.isActive());
+};
+
+// Record a heartbeat for the user and send the full heartbeat response to its sockets
+const beat = async (userId, { hwid, payload }) => {
+  lastBeats.set(userId, Date.now());
+  const response = await recordHeartbeat(userId, { hwid, payload });
+  if (response) {
+    sendToUser(userId, { type: 'heartbeat', ...response });
+  }
+};
+
+const handleMessage = async (socket, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch (error) {
+    return send(socket, { type: 'error', message: 'Invalid JSON message' });
+  }
+
+  const { userId, hwid } = socket.bot;
+  switch (message.type) {
+    case 'heartbeat':
+      botBeats.set(userId, Date.now());
+      await beat(userId, { hwid, payload: message });
+      break;
+    case 'ack': {
+      const outcome = await acknowledgeCommand(userId, message.id, message);
+      send(socket, outcome.httpStatus
+        ? { type: 'ack', id: message.id, success: false, message: outcome.message }
+        : { type: 'ack', id: message.id, success: true, status: outcome.status });
+      break;
+    }
+    default:
+      send(socket, { type: 'error', message: `Unknown message type: ${message.type}` });
+  }
+};
+
+const handleConnection = async (socket, req) => {
+  let verified = null;
+  try {
+    const token = getToken(req);
+    verified = token ? await verifyAccessToken(token) : null;
+  } catch (error) {
+    verified = null;
+  }
+  // The client may have disconnected while the token was checked; its close event has already fired
+  if (socket.readyState !== socket.OPEN) {
+    return;
+  }
+  if (!verified) {
+    return socket.close(4401, 'Invalid or expired token');
+  }
+  if (verified.user.enabled === false) {
+    return socket.close(4403, 'Account is disabled');
+  }
+
+  const userId = verified.user._id.toString();
+  socket.bot = { userId, hwid: verified.claims.hwid || null, claims: verified.claims };
+  socket.isAlive = true;
+
+  if (!connections.has(userId)) connections.set(userId, new Set());
+  connections.get(userId).add(socket);
+
+  socket.on('pong', () => { socket.isAlive = true; });
+  socket.on('message', (raw) => {
+    handleMessage(socket, raw).catch(error => {
+      console.error('Bot socket message error:', error);
+      send(socket, { type: 'error', message: 'Server error' });
+    });
+  });
+  socket.on('close', () => {
+    const sockets = connections.get(userId);
+    if (sockets) {
+      sockets.delete(socket);
+      if (sockets.size === 0) {
+        connections.delete(userId);
+        lastBeats.delete(userId);
+        botBeats.delete(userId);
+        // Presence follows the connection - the bot is offline as soon as its last socket closes
+        markUserOffline(userId, { staleOnly: false }).catch(error =>
+          console.error('Bot socket offline error:', error)
+        );
+      }
+    }
+  });
+
+  // Connecting counts as a heartbeat and returns commands, phone data and flags right away
+  await beat(userId, { hwid: socket.bot.hwid, payload: {} });
+};
+
+// Every interval: drop sockets that stopped answering pings, end revoked sessions
+// and record a heartbeat for connected bots that did not send one themselves
+const checkConnections = async () => {
+  const now = Date.now();
+  for (const [userId, sockets] of connections) {
+    for (const socket of sockets) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      if (!(await isSessionStillValid(socket.bot))) {
+        socket.close(4401, 'Session revoked');
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+
+    // Bots that send their own heartbeats are only covered when they stop, otherwise a tick just
+    // before the bot's beat would count the same minute twice
+    const botBeating = now - (botBeats.get(userId) || 0) < BOT_BEAT_TIMEOUT_MS;
+    const socket = [...sockets].find(candidate => candidate.readyState === candidate.OPEN);
+    if (socket && !botBeating && now - (lastBeats.get(userId) || 0) >= HEARTBEAT_INTERVAL_MS - 5000) {
+      await beat(userId, { hwid: socket.bot.hwid, payload: {} });
+    }
+  }
+};
+
+// Push events from the rest of the API to connected bots
+const registerEventHandlers = () => {
+  eventBus.on('command.queued', ({ userId }) => {
+    if (!isUserConnected(userId)) return;
+    deliverCommands(userId)
+      .then(fields => fields.commands && sendToUser(userId, { type: 'commands', ...fields }))
+      .catch(error => console.error('Bot socket command push error:', error));
+  });
+
+  eventBus.on('phoneData.uploaded', ({ userId }) => {
+    if (!isUserConnected(userId)) return;
+    getPendingPhoneData(userId)
+      .then(fields => fields.hasPendingPhoneData && sendToUser(userId, { type: 'phoneData', ...fields }))
+      .catch(error => console.error('Bot socket phone data push error:', error));
+  });
+
+  // { userId } for one user, { teamId } for a team, {} when a flag definition changed
+  eventBus.on('features.changed', async ({ userId, teamId }) => {
+    try {
+      const targetIds = [...connections.keys()].filter(id => !userId || id === userId);
+      if (targetIds.length === 0) return;
+
+      const users = await User.find({ _id: { $in: targetIds }, ...(teamId ? { team: teamId } : {}) }).select('team featureFlags');
+      const resolveFeatures = await createFeatureResolver();
+      for (const user of users) {
+        const { flags } = await resolveFeatures(user);
+        sendToUser(user._id.toString(), { type: 'features', features: flags, ...toLegacyFeatureFields(flags) });
+      }
+    } catch (error) {
+      console.error('Bot socket feature push error:', error);
+    }
+  });
+};
+
+/**
+ * Accept LineAPIBot WebSocket connections on the HTTP server
+ */
+function attachBotSocket(server) {
+  const wss = new WebSocketServer({ server, path: SOCKET_PATH, maxPayload: MAX_PAYLOAD_BYTES });
+
+  wss.on('error', (error) => console.error('Bot socket server error:', error));
+
+  wss.on('connection', (socket, req) => {
+    // Attached before anything is awaited: a malformed frame emits 'error', which would crash the process without a listener
+    socket.on('error', (error) => {
+      console.error('Bot socket error:', error.message);
+      socket.terminate();
+    });
+
+    handleConnection(socket, req).catch(error => {
+      console.error('Bot socket connection error:', error);
+      socket.close(1011, 'Server error');
+    });
+  });
+
+  const interval = setInterval(() => {
+    checkConnections().catch(error => console.error('Bot socket check error:', error));
+  }, HEARTBEAT_INTERVAL_MS);
+  wss.on('close', () => clearInterval(interval));
+
+  registerEventHandlers();
+  return wss;
+}
+
+module.exports = {
+  SOCKET_PATH,
+  attachBotSocket,
+  isUserConnected
+};
@@ -1,13 +1,23 @@
 /**
  * Get Bangkok time (UTC+7)
  */
-function getBangkokTime() {
-  const now = new Date();
+function getBangkokTime(date = new Date()) {
   const bangkokOffset = 7 * 60; // Bangkok is UTC+7 in minutes
-  const localOffset = now.getTimezoneOffset(); // Get local timezone offset
-  return new Date(now.getTime() + (bangkokOffset + localOffset) * 60000);
+  const localOffset = date.getTimezoneOffset(); // Get local timezone offset
+  return new Date(date.getTime() + (bangkokOffset + localOffset) * 60000);
+}
+
+/**
+ * Format a date returned by getBangkokTime() as YYYY-MM-DD
+ */
+function formatBangkokDate(bangkokTime) {
+  const year = bangkokTime.getFullYear();
+  const month = String(bangkokTime.getMonth() + 1).padStart(2, '0');
+  const day = String(bangkokTime.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
 }
 
 module.exports = {
-  getBangkokTime
+  getBangkokTime,
+  formatBangkokDate
 };
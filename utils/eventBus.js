@@ -0,0 +1,8 @@
+const { EventEmitter } = require('events');
+
+// In-process event bus shared by routes and background jobs
+const eventBus = new EventEmitter();
+// Every open SSE stream adds a listener
+eventBus.setMaxListeners(0);
+
+module.exports = eventBus;
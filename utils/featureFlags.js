@@ -0,0 +1,119 @@
+const FeatureFlag = require('../models/FeatureFlag');
+const Team = require('../models/Team');
+
+const readOverride = (overrides, key) => {
+  if (!overrides) return undefined;
+  return typeof overrides.get === 'function' ? overrides.get(key) : overrides[key];
+};
+
+/**
+ * Create a resolver that merges flag values: definition default -> team -> user.
+ * Definitions and teams are loaded once, so one resolver can be reused for many users.
+ */
+async function createFeatureResolver() {
+  const definitions = await FeatureFlag.find().sort({ key: 1 });
+  const teamCache = new Map();
+
+  const loadTeam = async (team) => {
+    if (!team) return null;
+
+    // user.team may be an ObjectId or a populated (partial) Team document
+    const teamId = (team._id || team).toString();
+    if (!teamCache.has(teamId)) {
+      teamCache.set(teamId, await Team.findById(teamId).select('featureFlags'));
+    }
+    return teamCache.get(teamId);
+  };
+
+  return async (user) => {
+    const team = await loadTeam(user.team);
+    const flags = {};
+    const sources = {};
+
+    for (const definition of definitions) {
+      const teamValue = readOverride(team && team.featureFlags, definition.key);
+      const userValue = readOverride(user.featureFlags, definition.key);
+
+      if (typeof userValue === 'boolean') {
+        flags[definition.key] = userValue;
+        sources[definition.key] = 'user';
+      } else if (typeof teamValue === 'boolean') {
+        flags[definition.key] = teamValue;
+        sources[definition.key] = 'team';
+      } else {
+        flags[definition.key] = definition.defaultValue;
+        sources[definition.key] = 'default';
+      }
+    }
+
+    return { flags, sources };
+  };
+}
+
+/**
+ * Resolve the merged flag set of a single user
+ */
+async function resolveFeatureFlags(user) {
+  const resolve = await createFeatureResolver();
+  return await resolve(user);
+}
+
+/**
+ * Fields kept in API responses for clients that still read featureFarm/featureBoard/featureLocalData
+ */
+function toLegacyFeatureFields(flags) {
+  return {
+    featureFarm: flags.farm !== false,
+    featureBoard: flags.board !== false,
+    featureLocalData: flags.localData === true
+  };
+}
+
+/**
+ * Apply { key: true|false|null } changes to a featureFlags map (null removes the override).
+ * Returns the list of unknown keys (nothing is applied when there are any).
+ */
+async function applyFeatureOverrides(doc, changes) {
+  const keys = Object.keys(changes);
+  const known = await FeatureFlag.find({ key: { $in: keys } }).select('key');
+  const knownKeys = new Set(known.map(flag => flag.key));
+  const unknown = keys.filter(key => !knownKeys.has(key));
+  if (unknown.length > 0) {
+    return unknown;
+  }
+
+  if (!doc.featureFlags) {
+    doc.featureFlags = new Map();
+  }
+  for (const key of keys) {
+    if (changes[key] === null) {
+      doc.featureFlags.delete(key);
+    } else {
+      doc.featureFlags.set(key, changes[key]);
+    }
+  }
+  return [];
+}
+
+/**
+ * Validate a { key: true|false|null } override body. Returns an error message or null.
+ */
+function validateFeatureChanges(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+    return 'Body must be an object of { flagKey: true | false | null }';
+  }
+  for (const [key, value] of Object.entries(changes)) {
+    if (value !== null && typeof value !== 'boolean') {
+      return `Value of "${key}" must be true, false or null`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  createFeatureResolver,
+  resolveFeatureFlags,
+  toLegacyFeatureFields,
+  applyFeatureOverrides,
+  validateFeatureChanges
+};
@@ -0,0 +1,157 @@
+const User = require('../models/User');
+const PhoneData = require('../models/PhoneData');
+const BotCommand = require('../models/BotCommand');
+const Telemetry = require('../models/Telemetry');
+const WorkSession = require('../models/WorkSession');
+const { isUserOnline, ONLINE_THRESHOLD_SECONDS } = require('./presence');
+const { publishUserStatus } = require('./statusStream');
+const { resolveFeatureFlags, toLegacyFeatureFields } = require('./featureFlags');
+const { getVersionPolicy, checkClientVersion, buildUpdateInfo } = require('./versionPolicy');
+
+/**
+ * Deliver queued commands until the bot acknowledges them.
+ * Returns the response fields ({ commands, command }) or {} when nothing is queued.
+ */
+async function deliverCommands(userId) {
+  const commands = await BotCommand.deliverOpen(userId);
+  if (commands.length === 0) return {};
+
+  const fields = { commands };
+  // Older bots only understand a single "command" field
+  if (commands.some(command => command.type === 'shutdown')) {
+    fields.command = 'shutdown';
+  }
+  return fields;
+}
+
+/**
+ * Pending phone data fields ({ hasPendingPhoneData, pendingPhoneDataCount }) or {} when there is none
+ */
+async function getPendingPhoneData(userId) {
+  // no need to check isDeleted since we use hard delete
+  const pendingPhoneData = await PhoneData.countDocuments({
+    targetUser: userId,
+    isDownloaded: false
+  });
+
+  return pendingPhoneData > 0
+    ? { hasPendingPhoneData: true, pendingPhoneDataCount: pendingPhoneData }
+    : {};
+}
+
+/**
+ * Record a heartbeat of a bot (HTTP or WebSocket) and build the heartbeat response.
+ * Returns null when the user no longer exists.
+ */
+async function recordHeartbeat(userId, { hwid = null, payload = {}, now = new Date() } = {}) {
+  // หา user ปัจจุบันเพื่อเช็คสถานะ
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const wasOnline = isUserOnline(user, now);
+
+  const updateData = {
+    lastHeartbeatAt: now
+  };
+
+  // ถ้าเปลี่ยนจากออฟไลน์เป็นออนไลน์ หรือยังไม่มี onlineSince ให้รีเซ็ท heartbeatCount
+  if (!wasOnline || !user.onlineSince) {
+    updateData.onlineSince = now;
+    updateData.heartbeatCount = 1; // เริ่มนับจาก 1
+  } else {
+    // ถ้ายังออนไลน์อยู่ ให้เพิ่ม heartbeatCount
+    updateData.heartbeatCount = (user.heartbeatCount || 0) + 1;
+  }
+
+  await User.findByIdAndUpdate(userId, updateData);
+  await WorkSession.recordHeartbeat(user, { now, startNew: Boolean(updateData.onlineSince), hwid });
+  publishUserStatus(userId, wasOnline ? 'heartbeat' : 'online');
+
+  // Optional telemetry sent by newer bots (current task, accounts, errors, CPU, memory)
+  const telemetry = Telemetry.fromHeartbeat(payload);
+  if (telemetry) {
+    await Telemetry.create({ user: userId, hwid, ...telemetry, createdAt: now });
+  }
+
+  // Current merged feature flags so bots pick up changes without logging in again
+  const { flags } = await resolveFeatureFlags(user);
+  const response = { success: true, features: flags, ...toLegacyFeatureFields(flags) };
+
+  // Tell the bot when its version (reported at login) is no longer allowed or outdated
+  const versionPolicy = await getVersionPolicy();
+  const versionCheck = checkClientVersion(user.clientVersion, versionPolicy);
+  if (versionCheck.updateRequired || versionCheck.updateAvailable) {
+    response.updateRequired = versionCheck.updateRequired;
+    response.updateAvailable = versionCheck.updateAvailable;
+    response.update = buildUpdateInfo(versionPolicy);
+  }
+
+  Object.assign(response, await deliverCommands(userId), await getPendingPhoneData(userId));
+  return response;
+}
+
+/**
+ * Store the result a bot reported for a delivered command.
+ * Returns { status } on success or { httpStatus, message } when the ack is rejected.
+ */
+async function acknowledgeCommand(userId, commandId, { success, result, error }) {
+  if (typeof success !== 'boolean') {
+    return { httpStatus: 400, message: 'success must be a boolean' };
+  }
+
+  const command = await BotCommand.findOne({ _id: commandId, user: userId });
+  if (!command) {
+    return { httpStatus: 404, message: 'Command not found' };
+  }
+
+  if (!BotCommand.OPEN_STATUSES.includes(command.status)) {
+    return { httpStatus: 409, message: `Command is already ${command.status}` };
+  }
+
+  command.status = success ? 'acked' : 'failed';
+  command.completedAt = new Date();
+  command.result = result === undefined ? null : result;
+  command.error = success ? null : (typeof error === 'string' ? error.substring(0, 1000) : 'Unknown error');
+  await command.save();
+  publishUserStatus(userId, 'command');
+
+  return { status: command.status };
+}
+
+/**
+ * Mark a user offline: keep the heartbeat count of the finished period, clear onlineSince
+ * and close the work session. With staleOnly, users that sent a heartbeat within the
+ * online threshold are left alone. Returns true when the user was marked offline.
+ */
+async function markUserOffline(userId, { now = new Date(), staleOnly = true } = {}) {
+  const filter = { _id: userId, onlineSince: { $ne: null } };
+  if (staleOnly) {
+    filter.lastHeartbeatAt = { $lte: new Date(now.getTime() - ONLINE_THRESHOLD_SECONDS * 1000) };
+  }
+
+  const user = await User.findOne(filter).select('heartbeatCount');
+  if (!user) return false;
+
+  // Only update when no heartbeat arrived in the meantime
+  const result = await User.updateOne(
+    { ...filter, heartbeatCount: user.heartbeatCount },
+    { lastHeartbeatCount: user.heartbeatCount, heartbeatCount: 0, onlineSince: null }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  const openSession = await WorkSession.findOne({ user: userId, endedAt: null });
+  if (openSession) {
+    await openSession.close();
+  }
+
+  await publishUserStatus(userId, 'offline');
+  return true;
+}
+
+module.exports = {
+  deliverCommands,
+  getPendingPhoneData,
+  recordHeartbeat,
+  acknowledgeCommand,
+  markUserOffline
+};
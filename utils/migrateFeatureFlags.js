@@ -0,0 +1,52 @@
+const User = require('../models/User');
+const FeatureFlag = require('../models/FeatureFlag');
+
+const LEGACY_FIELDS = {
+  featureFarm: 'farm',
+  featureBoard: 'board',
+  featureLocalData: 'localData'
+};
+
+// Create built-in flag definitions and move old featureXxx user fields into User.featureFlags
+const migrateFeatureFlags = async () => {
+  try {
+    await FeatureFlag.ensureBuiltIns();
+
+    const definitions = await FeatureFlag.find({ key: { $in: Object.values(LEGACY_FIELDS) } });
+    const defaults = {};
+    definitions.forEach(flag => { defaults[flag.key] = flag.defaultValue; });
+
+    const legacyQuery = {
+      $or: Object.keys(LEGACY_FIELDS).map(field => ({ [field]: { $exists: true } }))
+    };
+    const legacyUsers = await User.collection
+      .find(legacyQuery, { projection: { _id: 1, featureFlags: 1, ...Object.fromEntries(Object.keys(LEGACY_FIELDS).map(field => [field, 1])) } })
+      .toArray();
+
+    for (const legacyUser of legacyUsers) {
+      const set = {};
+      for (const [field, key] of Object.entries(LEGACY_FIELDS)) {
+        const value = legacyUser[field];
+        const alreadySet = legacyUser.featureFlags && typeof legacyUser.featureFlags[key] === 'boolean';
+        // Only keep values that differ from the default as user overrides
+        if (typeof value === 'boolean' && value !== defaults[key] && !alreadySet) {
+          set[`featureFlags.${key}`] = value;
+        }
+      }
+
+      const unset = Object.fromEntries(Object.keys(LEGACY_FIELDS).map(field => [field, '']));
+      await User.collection.updateOne(
+        { _id: legacyUser._id },
+        Object.keys(set).length > 0 ? { $set: set, $unset: unset } : { $unset: unset }
+      );
+    }
+
+    if (legacyUsers.length > 0) {
+      console.log(`Migrated legacy feature fields of ${legacyUsers.length} user(s) to feature flags`);
+    }
+  } catch (error) {
+    console.error('Error migrating legacy feature flags:', error);
+  }
+};
+
+module.exports = migrateFeatureFlags;
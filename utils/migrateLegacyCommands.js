@@ -0,0 +1,29 @@
+const User = require('../models/User');
+const BotCommand = require('../models/BotCommand');
+
+// Convert the old single User.pendingCommand field into queued BotCommand documents
+const migrateLegacyCommands = async () => {
+  try {
+    const legacyUsers = await User.collection
+      .find({ pendingCommand: { $ne: null, $exists: true } }, { projection: { _id: 1, pendingCommand: 1 } })
+      .toArray();
+
+    for (const legacyUser of legacyUsers) {
+      if (BotCommand.COMMAND_TYPES.includes(legacyUser.pendingCommand)) {
+        await BotCommand.queue(legacyUser._id, legacyUser.pendingCommand);
+      }
+    }
+
+    if (legacyUsers.length > 0) {
+      await User.collection.updateMany(
+        { pendingCommand: { $exists: true } },
+        { $unset: { pendingCommand: '' } }
+      );
+      console.log(`Migrated ${legacyUsers.length} legacy pending command(s) to the command queue`);
+    }
+  } catch (error) {
+    console.error('Error migrating legacy pending commands:', error);
+  }
+};
+
+module.exports = migrateLegacyCommands;
@@ -0,0 +1,30 @@
+const PhoneData = require('../models/PhoneData');
+const PhoneAssignment = require('../models/PhoneAssignment');
+const UploadHistory = require('../models/UploadHistory');
+
+// Fill the phone number index from phone data that is still stored, the first time the index is used
+const migratePhoneAssignments = async () => {
+  try {
+    if (await PhoneAssignment.estimatedDocumentCount() > 0) {
+      return;
+    }
+
+    const since = new Date(Date.now() - PhoneAssignment.getRetentionDays() * 24 * 60 * 60 * 1000);
+    const cursor = PhoneData.find({ uploadedAt: { $gte: since } }).cursor();
+    let count = 0;
+
+    for (let phoneData = await cursor.next(); phoneData; phoneData = await cursor.next()) {
+      const history = await UploadHistory.findOne({ phoneDataId: phoneData._id }).select('_id');
+      await PhoneAssignment.recordUpload(phoneData, history ? history._id : null);
+      count++;
+    }
+
+    if (count > 0) {
+      console.log(`Indexed phone numbers of ${count} existing upload(s) for duplicate detection`);
+    }
+  } catch (error) {
+    console.error('Error indexing existing phone data:', error);
+  }
+};
+
+module.exports = migratePhoneAssignments;
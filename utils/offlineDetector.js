@@ -0,0 +1,50 @@
+const cron = require('node-cron');
+const User = require('../models/User');
+const WorkSession = require('../models/WorkSession');
+const { ONLINE_THRESHOLD_SECONDS } = require('./presence');
+const { markUserOffline } = require('./heartbeat');
+
+/**
+ * Mark users whose last heartbeat is older than the online threshold as offline
+ * (see markUserOffline). Returns the number of users marked offline.
+ */
+const detectOfflineUsers = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - ONLINE_THRESHOLD_SECONDS * 1000);
+  const staleUsers = await User.find({
+    onlineSince: { $ne: null },
+    lastHeartbeatAt: { $lte: cutoff }
+  }).select('_id');
+
+  let marked = 0;
+  for (const user of staleUsers) {
+    if (await markUserOffline(user._id, { now })) {
+      marked++;
+    }
+  }
+
+  // Sessions left open without a matching online user (e.g. after a restart)
+  await WorkSession.closeStale(now);
+  return marked;
+};
+
+// ตรวจสอบผู้ใช้ที่ออฟไลน์ทุก 15 วินาที
+const startOfflineDetector = () => {
+  let running = false;
+  return cron.schedule('*/15 * * * * *', async () => {
+    // Skip a tick while the previous run is still busy
+    if (running) return;
+    running = true;
+    try {
+      await detectOfflineUsers();
+    } catch (error) {
+      console.error('Offline detector error:', error);
+    } finally {
+      running = false;
+    }
+  });
+};
+
+module.exports = {
+  detectOfflineUsers,
+  startOfflineDetector
+};
@@ -0,0 +1,67 @@
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const readBool = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  return value === 'true' || value === '1';
+};
+
+/**
+ * Get password policy from environment variables
+ */
+function getPasswordPolicy() {
+  return {
+    minLength: Math.max(readInt(process.env.PASSWORD_MIN_LENGTH, 8), 4),
+    requireUppercase: readBool(process.env.PASSWORD_REQUIRE_UPPERCASE, false),
+    requireLowercase: readBool(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+    requireDigit: readBool(process.env.PASSWORD_REQUIRE_DIGIT, true),
+    requireSymbol: readBool(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+    historySize: readInt(process.env.PASSWORD_HISTORY_SIZE, 5)
+  };
+}
+
+/**
+ * Check a password against length and character class rules. Returns a list of problems.
+ */
+function checkPasswordStrength(password) {
+  const policy = getPasswordPolicy();
+  const problems = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters long`);
+    if (typeof password !== 'string') return problems;
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    problems.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    problems.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireDigit && !/[0-9]/.test(password)) {
+    problems.push('Password must contain a digit');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push('Password must contain a symbol');
+  }
+
+  return problems;
+}
+
+/**
+ * express-validator custom validator applying the password policy
+ */
+function passwordPolicyValidator(value) {
+  const problems = checkPasswordStrength(value);
+  if (problems.length > 0) {
+    throw new Error(problems.join(', '));
+  }
+  return true;
+}
+
+module.exports = {
+  getPasswordPolicy,
+  checkPasswordStrength,
+  passwordPolicyValidator
+};
@@ -0,0 +1,40 @@
+const Setting = require('../models/Setting');
+const { ROLES, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+
+const ROLE_PERMISSIONS_KEY = 'permissions.roles';
+
+/**
+ * Get the role-to-permission mapping (stored overrides merged over the defaults)
+ */
+async function getRolePermissions() {
+  const overrides = await Setting.getValue(ROLE_PERMISSIONS_KEY, {});
+  const mapping = {};
+  for (const role of ROLES) {
+    mapping[role] = Array.isArray(overrides[role]) ? overrides[role] : DEFAULT_ROLE_PERMISSIONS[role];
+  }
+  return mapping;
+}
+
+/**
+ * Replace the permissions of one role. Pass null to restore the default.
+ */
+async function setRolePermissions(role, permissions, updatedBy) {
+  const overrides = { ...(await Setting.getValue(ROLE_PERMISSIONS_KEY, {})) };
+  if (permissions === null) {
+    delete overrides[role];
+  } else {
+    overrides[role] = permissions;
+  }
+  await Setting.setValue(ROLE_PERMISSIONS_KEY, overrides, updatedBy);
+}
+
+async function hasPermission(role, permission) {
+  const mapping = await getRolePermissions();
+  return (mapping[role] || []).includes(permission);
+}
+
+module.exports = {
+  getRolePermissions,
+  setRolePermissions,
+  hasPermission
+};
@@ -0,0 +1,23 @@
+const BlockedNumber = require('../models/BlockedNumber');
+
+/**
+ * Remove numbers on the do-not-contact list from normalized phone numbers.
+ * Returns { phoneNumbers, blockedCount, blockedNumbers }.
+ */
+const filterBlockedNumbers = async (phoneNumbers, now = new Date()) => {
+  const blocked = await BlockedNumber.findActiveNumbers(phoneNumbers, now);
+  if (blocked.size === 0) {
+    return { phoneNumbers, blockedCount: 0, blockedNumbers: [] };
+  }
+
+  const blockedNumbers = phoneNumbers.filter(phoneNumber => blocked.has(phoneNumber));
+  return {
+    phoneNumbers: phoneNumbers.filter(phoneNumber => !blocked.has(phoneNumber)),
+    blockedCount: blockedNumbers.length,
+    blockedNumbers
+  };
+};
+
+module.exports = {
+  filterBlockedNumbers
+};
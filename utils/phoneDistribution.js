@@ -0,0 +1,75 @@
+const DailyStats = require('../models/DailyStats');
+
+// Where member weights come from: explicit values in the request or recent friend adds
+const WEIGHT_SOURCES = ['custom', 'friendsAdded'];
+const DEFAULT_WEIGHT_DAYS = 7;
+
+/**
+ * Split counts for weighted distribution (largest remainder, so the counts add up to total).
+ * Members whose weight is 0 get nothing unless every weight is 0, then the split is even.
+ */
+const getWeightedCounts = (total, weights) => {
+  const sum = weights.reduce((acc, weight) => acc + weight, 0);
+  const effective = sum > 0 ? weights : weights.map(() => 1);
+  const effectiveSum = sum > 0 ? sum : weights.length;
+
+  const exact = effective.map(weight => (total * weight) / effectiveSum);
+  const counts = exact.map(Math.floor);
+  let remaining = total - counts.reduce((acc, count) => acc + count, 0);
+
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - counts[index] }))
+    .sort((a, b) => b.remainder - a.remainder);
+  for (let i = 0; remaining > 0; i++, remaining--) {
+    counts[byRemainder[i % byRemainder.length].index]++;
+  }
+
+  return counts;
+};
+
+/**
+ * Split phone numbers into one list per member.
+ * even: consecutive blocks that differ by at most one number
+ * round-robin: number i goes to member i % members
+ * weighted: consecutive blocks proportional to weights
+ */
+const splitPhoneNumbers = (phoneNumbers, memberCount, strategy, weights = []) => {
+  const parts = Array.from({ length: memberCount }, () => []);
+
+  if (strategy === 'round-robin') {
+    phoneNumbers.forEach((phoneNumber, index) => parts[index % memberCount].push(phoneNumber));
+    return parts;
+  }
+
+  const counts = strategy === 'weighted'
+    ? getWeightedCounts(phoneNumbers.length, weights)
+    : getWeightedCounts(phoneNumbers.length, parts.map(() => 1));
+
+  let offset = 0;
+  counts.forEach((count, index) => {
+    parts[index] = phoneNumbers.slice(offset, offset + count);
+    offset += count;
+  });
+  return parts;
+};
+
+/**
+ * Get each user's friends added over the last `days` Bangkok days, in the order of userIds
+ */
+const getFriendsAddedWeights = async (userIds, days = DEFAULT_WEIGHT_DAYS) => {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const totals = await DailyStats.aggregate([
+    { $match: { user: { $in: userIds }, date: { $gte: since } } },
+    { $group: { _id: '$user', friends: { $sum: '$friendsAddedCount' } } }
+  ]);
+
+  const byUser = new Map(totals.map(total => [total._id.toString(), total.friends]));
+  return userIds.map(userId => byUser.get(userId.toString()) || 0);
+};
+
+module.exports = {
+  WEIGHT_SOURCES,
+  DEFAULT_WEIGHT_DAYS,
+  splitPhoneNumbers,
+  getFriendsAddedWeights
+};
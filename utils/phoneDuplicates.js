@@ -0,0 +1,99 @@
+const PhoneAssignment = require('../models/PhoneAssignment');
+const User = require('../models/User');
+const { isUserInScope } = require('./teamScope');
+
+const DUPLICATE_MODES = ['report', 'skip'];
+const SAMPLE_SIZE = 100;
+
+const getDefaultLookbackDays = () => {
+  const days = parseInt(process.env.PHONE_DUPLICATE_WINDOW_DAYS, 10);
+  return days > 0 ? days : 7;
+};
+
+/**
+ * Resolve the look-back window in days from a request value (falls back to PHONE_DUPLICATE_WINDOW_DAYS).
+ * The window can't be longer than the assignment index is kept.
+ */
+const resolveLookbackDays = (value) => {
+  const requested = parseInt(value, 10);
+  const days = requested > 0 ? requested : getDefaultLookbackDays();
+  return Math.min(days, PhoneAssignment.getRetentionDays());
+};
+
+/**
+ * Find numbers that were already assigned to another user inside the look-back window.
+ * Returns { lookbackDays, since, duplicates } where duplicates maps phone number -> assignments of other users.
+ */
+const findDuplicateAssignments = async (phoneNumbers, { targetUserId = null, lookbackDays, now = new Date() } = {}) => {
+  const days = resolveLookbackDays(lookbackDays);
+  const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const assignments = await PhoneAssignment.findByNumbers(phoneNumbers, since);
+
+  const duplicates = new Map();
+  for (const [phoneNumber, entries] of assignments) {
+    const others = targetUserId
+      ? entries.filter(entry => entry.targetUser.toString() !== targetUserId.toString())
+      : entries;
+    if (others.length > 0) duplicates.set(phoneNumber, others);
+  }
+
+  return { lookbackDays: days, since, duplicates };
+};
+
+/**
+ * Apply the duplicate mode to an upload: "report" keeps every number, "skip" drops the duplicates.
+ * Returns { phoneNumbers, summary } where summary is sent back in the upload response.
+ */
+const applyDuplicateMode = async (phoneNumbers, { targetUserId, lookbackDays, mode = 'report' }) => {
+  const { lookbackDays: days, duplicates } = await findDuplicateAssignments(phoneNumbers, { targetUserId, lookbackDays });
+  const skip = mode === 'skip';
+  const duplicateNumbers = phoneNumbers.filter(phoneNumber => duplicates.has(phoneNumber));
+
+  return {
+    phoneNumbers: skip ? phoneNumbers.filter(phoneNumber => !duplicates.has(phoneNumber)) : phoneNumbers,
+    summary: {
+      mode,
+      lookbackDays: days,
+      count: duplicateNumbers.length,
+      skipped: skip ? duplicateNumbers.length : 0,
+      numbers: duplicateNumbers.slice(0, SAMPLE_SIZE)
+    }
+  };
+};
+
+/**
+ * Build the preview list of duplicated numbers and the users they went to.
+ * Usernames of users outside the caller's team scope are hidden.
+ */
+const describeDuplicates = async (duplicates, scope) => {
+  const userIds = new Set();
+  for (const entries of duplicates.values()) {
+    entries.forEach(entry => userIds.add(entry.targetUser.toString()));
+  }
+
+  const users = await User.find({ _id: { $in: [...userIds] } }).select('user team');
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  return [...duplicates].map(([phoneNumber, entries]) => ({
+    phoneNumber,
+    assignments: entries.map(entry => {
+      const user = usersById.get(entry.targetUser.toString());
+      const visible = user && isUserInScope(scope, user);
+      return {
+        userId: visible ? entry.targetUser : null,
+        username: visible ? user.user : null,
+        otherTeam: !!user && !visible,
+        assignedAt: entry.assignedAt,
+        fileName: visible ? entry.fileName : null
+      };
+    })
+  }));
+};
+
+module.exports = {
+  DUPLICATE_MODES,
+  resolveLookbackDays,
+  findDuplicateAssignments,
+  applyDuplicateMode,
+  describeDuplicates
+};
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const ExcelJS = require('exceljs');
+const { normalizeThaiMobile10 } = require('./phoneNumber');
+
+const SUPPORTED_FORMATS = ['txt', 'csv', 'xlsx'];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Get the file format from the file name (txt, csv or xlsx), or null when unsupported
+ */
+function detectFormat(fileName) {
+  const extension = path.extname(fileName || '').substring(1).toLowerCase();
+  return SUPPORTED_FORMATS.includes(extension) ? extension : null;
+}
+
+// Split one CSV line, honoring double quotes ("" is an escaped quote)
+const parseCsvLine = (line, delimiter) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+};
+
+const detectDelimiter = (line) => {
+  const candidates = [',', ';', '\t'];
+  return candidates.reduce((best, candidate) =>
+    line.split(candidate).length > line.split(best).length ? candidate : best
+  );
+};
+
+/**
+ * Resolve the selected column to a 0-based index.
+ * column may be a header name (with hasHeader), a 1-based number or a spreadsheet letter (A, B, ...).
+ */
+const resolveColumn = (column, header) => {
+  if (column === undefined || column === null || column === '') return 0;
+
+  const value = String(column).trim();
+  if (header) {
+    const index = header.findIndex(name => String(name || '').trim().toLowerCase() === value.toLowerCase());
+    if (index !== -1) return index;
+  }
+  if (/^\d+$/.test(value) && parseInt(value, 10) > 0) {
+    return parseInt(value, 10) - 1;
+  }
+  if (/^[A-Za-z]{1,3}$/.test(value)) {
+    return value.toUpperCase().split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+  }
+  throw badRequest(`Column "${value}" not found`);
+};
+
+// Convert an Excel cell value to text
+const cellToText = (value) => {
+  if (value === null || value === undefined) return '';
+  // Excel drops the leading 0 of numbers typed as numeric cells (e.g. 812345678)
+  if (typeof value === 'number') {
+    const digits = String(value);
+    return /^[689]\d{8}$/.test(digits) ? `0${digits}` : digits;
+  }
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return cellToText(value.result);
+  }
+  return String(value);
+};
+
+async function* readTextLines(filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+  for await (const line of lines) {
+    // Strip a UTF-8 BOM and skip blank lines
+    const text = line.replace(/^\uFEFF/, '');
+    if (text.trim() !== '') yield text;
+  }
+}
+
+async function* readTxt(filePath) {
+  yield* readTextLines(filePath);
+}
+
+async function* readCsv(filePath, { column, hasHeader }) {
+  let delimiter = null;
+  let columnIndex = null;
+
+  for await (const line of readTextLines(filePath)) {
+    if (delimiter === null) {
+      delimiter = detectDelimiter(line);
+      if (hasHeader) {
+        columnIndex = resolveColumn(column, parseCsvLine(line, delimiter));
+        continue;
+      }
+      columnIndex = resolveColumn(column, null);
+    }
+    const fields = parseCsvLine(line, delimiter);
+    yield fields[columnIndex] || '';
+  }
+}
+
+async function* readXlsx(filePath, { column, hasHeader, sheet }) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+    sharedStrings: 'cache',
+    hyperlinks: 'ignore',
+    styles: 'ignore',
+    worksheets: 'emit'
+  });
+
+  let sheetNumber = 0;
+  let found = false;
+  for await (const worksheet of workbook) {
+    sheetNumber++;
+    const matches = sheet
+      ? String(sheet) === String(sheetNumber) || String(sheet) === worksheet.name
+      : sheetNumber === 1;
+    if (!matches) {
+      // Rows of other sheets still have to be read to move on in the stream
+      for await (const row of worksheet) { void row; }
+      continue;
+    }
+
+    found = true;
+    let columnIndex = null;
+    for await (const row of worksheet) {
+      // row.values is 1-based
+      const cells = (Array.isArray(row.values) ? row.values.slice(1) : []).map(cellToText);
+      if (columnIndex === null) {
+        if (hasHeader) {
+          columnIndex = resolveColumn(column, cells);
+          continue;
+        }
+        columnIndex = resolveColumn(column, null);
+      }
+      const value = cells[columnIndex] || '';
+      if (value.trim() !== '') yield value;
+    }
+  }
+
+  if (!found) {
+    throw badRequest(sheet ? `Sheet "${sheet}" not found` : 'The workbook has no sheets');
+  }
+}
+
+/**
+ * Stream the raw values of a phone list file (one value per line / row of the selected column)
+ */
+function readPhoneListFile(filePath, format, options = {}) {
+  switch (format) {
+    case 'txt':
+      return readTxt(filePath);
+    case 'csv':
+      return readCsv(filePath, options);
+    case 'xlsx':
+      return readXlsx(filePath, options);
+    default:
+      throw badRequest(`Unsupported file type. Allowed: ${SUPPORTED_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Normalize streamed values with normalizeThaiMobile10 and count them like POST /validate.
+ * With options.maxNumbers, parsing stops with a 400 error as soon as the list has more valid numbers
+ */
+async function parsePhoneListFile(filePath, format, options = {}) {
+  const phoneNumbers = [];
+  const seen = new Set();
+  let originalCount = 0;
+
+  try {
+    for await (const value of readPhoneListFile(filePath, format, options)) {
+      originalCount++;
+      const normalized = normalizeThaiMobile10(value);
+      if (normalized !== null && !seen.has(normalized)) {
+        seen.add(normalized);
+        phoneNumbers.push(normalized);
+        if (options.maxNumbers && phoneNumbers.length > options.maxNumbers) {
+          throw badRequest(`The list has more than ${options.maxNumbers} valid phone numbers. Split it into smaller files.`);
+        }
+      }
+    }
+  } catch (error) {
+    // A corrupt workbook is a client error, not a server error
+    if (!error.status && format === 'xlsx') {
+      throw badRequest('Could not read the XLSX file');
+    }
+    throw error;
+  }
+
+  return {
+    originalCount,
+    validCount: phoneNumbers.length,
+    invalidCount: originalCount - phoneNumbers.length,
+    phoneNumbers
+  };
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  detectFormat,
+  parsePhoneListFile
+};
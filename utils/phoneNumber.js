@@ -0,0 +1,43 @@
+// Normalize a Thai mobile number (06/08/09, +66 accepted) to 10 digits, or null when invalid
+const normalizeThaiMobile10 = (input) => {
+  if (!input || typeof input !== 'string') return null;
+  
+  const trimmed = input.trim();
+  let digitsOnly = trimmed.replace(/\D/g, '');
+  
+  if (trimmed.startsWith('+')) {
+    if (!trimmed.startsWith('+66')) return null;
+    if (!digitsOnly.startsWith('66')) return null;
+    const national = digitsOnly.length > 2 ? digitsOnly.substring(2) : '';
+    digitsOnly = '0' + national;
+  }
+  
+  if (digitsOnly.length !== 10) return null;
+  
+  const prefix2 = digitsOnly.substring(0, 2);
+  if (prefix2 !== '06' && prefix2 !== '08' && prefix2 !== '09') return null;
+  
+  return digitsOnly;
+};
+
+const normalizePhoneNumbers = (lines) => {
+  const result = [];
+  const seen = new Set();
+  
+  for (const line of lines) {
+    const normalized = normalizeThaiMobile10(line);
+    if (normalized === null) continue;
+    
+    if (!seen.has(normalized)) {
+      seen.add(normalized);
+      result.push(normalized);
+    }
+  }
+  
+  return result;
+};
+
+module.exports = {
+  normalizeThaiMobile10,
+  normalizePhoneNumbers
+};
@@ -0,0 +1,66 @@
+const PhoneOutcome = require('../models/PhoneOutcome');
+
+// Response field for each stored result
+const RESULT_FIELDS = {
+  friend_added: 'friendAdded',
+  no_account: 'noAccount',
+  blocked: 'blocked',
+  rate_limited: 'rateLimited',
+  failed: 'failed'
+};
+
+/**
+ * Build an outcome summary from result counts ({ friend_added: 3, ... }).
+ * conversionRate is friends added per resolved number in percent; rate-limited numbers are not resolved yet.
+ */
+const buildOutcomeSummary = (counts = {}) => {
+  const summary = { reportedCount: 0 };
+  for (const [result, field] of Object.entries(RESULT_FIELDS)) {
+    summary[field] = counts[result] || 0;
+    summary.reportedCount += summary[field];
+  }
+
+  const resolved = summary.reportedCount - summary.rateLimited;
+  summary.conversionRate = resolved > 0 ? Math.round((summary.friendAdded / resolved) * 1000) / 10 : null;
+  return summary;
+};
+
+/**
+ * Count results of the matching outcomes grouped by a field (e.g. 'uploadHistory' or 'uploadedBy').
+ * Returns a Map of group id (string) -> summary.
+ */
+const summarizeOutcomes = async (match, groupBy) => {
+  const rows = await PhoneOutcome.aggregate([
+    { $match: match },
+    { $group: { _id: { key: `$${groupBy}`, result: '$result' }, count: { $sum: 1 } } }
+  ]);
+
+  const countsByKey = new Map();
+  for (const row of rows) {
+    const key = row._id.key ? row._id.key.toString() : null;
+    if (!countsByKey.has(key)) countsByKey.set(key, {});
+    countsByKey.get(key)[row._id.result] = row.count;
+  }
+
+  return new Map([...countsByKey].map(([key, counts]) => [key, buildOutcomeSummary(counts)]));
+};
+
+/**
+ * Add the summaries of several groups together
+ */
+const combineOutcomeSummaries = (summaries) => {
+  const counts = {};
+  for (const summary of summaries) {
+    for (const [result, field] of Object.entries(RESULT_FIELDS)) {
+      counts[result] = (counts[result] || 0) + summary[field];
+    }
+  }
+  return buildOutcomeSummary(counts);
+};
+
+module.exports = {
+  RESULT_FIELDS,
+  buildOutcomeSummary,
+  summarizeOutcomes,
+  combineOutcomeSummaries
+};
@@ -0,0 +1,87 @@
+// Bots send a heartbeat every 60 seconds; 30 seconds of buffer before a bot counts as offline
+const ONLINE_THRESHOLD_SECONDS = 90;
+
+/**
+ * Check whether a user is online based on the last heartbeat.
+ * onlineSince is cleared when a user is marked offline (e.g. a bot closed its WebSocket connection).
+ */
+function isUserOnline(user, now = new Date()) {
+  return Boolean(user.lastHeartbeatAt) && Boolean(user.onlineSince) &&
+    (now - new Date(user.lastHeartbeatAt)) / 1000 < ONLINE_THRESHOLD_SECONDS;
+}
+
+/**
+ * Query fragment matching users that are currently online
+ */
+function onlineUserQuery(now = new Date()) {
+  return {
+    lastHeartbeatAt: { $gt: new Date(now.getTime() - ONLINE_THRESHOLD_SECONDS * 1000) },
+    onlineSince: { $ne: null }
+  };
+}
+
+/**
+ * Query fragment matching users that are currently offline (the opposite of onlineUserQuery)
+ */
+function offlineUserQuery(now = new Date()) {
+  return {
+    $or: [
+      { lastHeartbeatAt: null },
+      { lastHeartbeatAt: { $lte: new Date(now.getTime() - ONLINE_THRESHOLD_SECONDS * 1000) } },
+      { onlineSince: null }
+    ]
+  };
+}
+
+/**
+ * Online status entry of a user as sent by the status stream
+ */
+function buildUserStatus(user, now = new Date()) {
+  const isOnline = isUserOnline(user, now);
+
+  // คำนวณชั่วโมงการทำงาน
+  let heartbeatCount = 0;
+  let secondsSinceLastHeartbeat = 0;
+
+  if (isOnline) {
+    heartbeatCount = user.heartbeatCount || 0;
+    // คำนวณวินาทีที่ผ่านไปตั้งแต่ heartbeat ล่าสุด (สูงสุด 60 วินาที)
+    secondsSinceLastHeartbeat = Math.min(
+      Math.floor((now - new Date(user.lastHeartbeatAt)) / 1000),
+      60
+    );
+  } else {
+    // ใช้ lastHeartbeatCount เมื่อออฟไลน์ (ใช้ค่าที่บันทึกไว้แล้ว)
+    // ถ้า job ยังไม่ได้บันทึกการออฟไลน์ (onlineSince ยังอยู่) ให้ใช้ heartbeatCount ของรอบล่าสุด
+    heartbeatCount = (user.onlineSince ? user.heartbeatCount : user.lastHeartbeatCount) || 0;
+  }
+
+  // คำนวณชั่วโมง: 60 ครั้ง = 1 ชั่วโมง
+  // heartbeatCount เป็นจำนวนครั้งที่ส่งมา (แต่ละครั้ง = 60 วินาที)
+  // รวมกับวินาทีที่ผ่านไปตั้งแต่ heartbeat ล่าสุด
+  const totalSeconds = (heartbeatCount * 60) + secondsSinceLastHeartbeat;
+  const team = user.team && user.team._id ? user.team : null;
+
+  return {
+    userId: user._id.toString(),
+    username: user.user,
+    teamId: user.team ? (user.team._id || user.team).toString() : null,
+    teamName: team ? team.name : null,
+    enabled: user.enabled !== false,
+    clientVersion: user.clientVersion,
+    lastLoginAt: user.lastLoginAt,
+    isOnline,
+    lastHeartbeatAt: user.lastHeartbeatAt,
+    heartbeatCount,
+    secondsSinceLastHeartbeat,
+    totalSeconds
+  };
+}
+
+module.exports = {
+  ONLINE_THRESHOLD_SECONDS,
+  isUserOnline,
+  onlineUserQuery,
+  offlineUserQuery,
+  buildUserStatus
+};
@@ -0,0 +1,24 @@
+/**
+ * Get client IP address.
+ * X-Forwarded-For is only used when the request came through a proxy trusted by the
+ * "trust proxy" setting (TRUST_PROXY), otherwise clients could pick their own IP.
+ */
+function getClientIP(req) {
+  return req.ip || (req.socket && req.socket.remoteAddress);
+}
+
+/**
+ * Parse TRUST_PROXY for Express' "trust proxy" setting:
+ * a hop count, true/false, or a comma-separated list of proxy addresses/subnets (e.g. loopback, 10.0.0.0/8)
+ */
+function parseTrustProxy(value) {
+  if (!value) return false;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+module.exports = {
+  getClientIP,
+  parseTrustProxy
+};
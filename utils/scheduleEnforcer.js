@@ -0,0 +1,49 @@
+const cron = require('node-cron');
+const User = require('../models/User');
+const BotCommand = require('../models/BotCommand');
+const { onlineUserQuery } = require('./presence');
+const { createScheduleLookup, isWithinSchedule } = require('./workSchedule');
+
+/**
+ * Queue a shutdown command for every online bot that is outside its working hours.
+ * Returns the number of commands queued.
+ */
+const enforceSchedules = async (now = new Date()) => {
+  const getSchedule = await createScheduleLookup();
+  const onlineUsers = await User.find(onlineUserQuery(now)).select('user team');
+
+  const outside = onlineUsers.filter(user => !isWithinSchedule(getSchedule(user), now));
+  if (outside.length === 0) return 0;
+
+  // Don't queue another shutdown while one is still waiting for the bot
+  const openCommands = await BotCommand.getOpenTypesByUser(outside.map(user => user._id));
+  let queued = 0;
+  for (const user of outside) {
+    const openTypes = openCommands.get(user._id.toString()) || [];
+    if (!openTypes.includes('shutdown')) {
+      await BotCommand.queue(user._id, 'shutdown', { args: { reason: 'outside_schedule' } });
+      queued++;
+    }
+  }
+
+  if (queued > 0) {
+    console.log(`Queued shutdown for ${queued} bot(s) outside working hours`);
+  }
+  return queued;
+};
+
+// ตรวจสอบเวลาทำงานทุกนาที
+const startScheduleEnforcer = () => {
+  return cron.schedule('* * * * *', async () => {
+    try {
+      await enforceSchedules();
+    } catch (error) {
+      console.error('Schedule enforcer error:', error);
+    }
+  }, { timezone: 'Asia/Bangkok' });
+};
+
+module.exports = {
+  enforceSchedules,
+  startScheduleEnforcer
+};
@@ -9,15 +9,24 @@ const seedDefaultAdmin = async () => {
       const defaultAdmin = new User({
         user: 'Admin',
         password: '1234',
-        role: 'Admin'
+        role: 'Admin',
+        mustChangePassword: true
       });
 
       await defaultAdmin.save();
       console.log('Default admin user created successfully');
       console.log('Username: Admin');
       console.log('Password: 1234');
+      console.log('Password change and two-factor enrollment will be required on first login');
     } else {
       console.log('Default admin user already exists');
+
+      // Still using the default password - force a change on next login
+      if (!existingAdmin.mustChangePassword && await existingAdmin.comparePassword('1234')) {
+        existingAdmin.mustChangePassword = true;
+        await existingAdmin.save();
+        console.log('Default admin still uses the default password - password change required');
+      }
     }
   } catch (error) {
     console.error('Error creating default admin:', error);
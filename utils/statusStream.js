@@ -0,0 +1,147 @@
+const User = require('../models/User');
+const BotCommand = require('../models/BotCommand');
+const eventBus = require('./eventBus');
+const { buildUserStatus } = require('./presence');
+const { createFeatureResolver } = require('./featureFlags');
+
+// Recent events kept for clients that reconnect with Last-Event-ID
+const BUFFER_SIZE = 1000;
+// Event IDs are only meaningful within one server process
+const EPOCH = Date.now().toString(36);
+
+let sequence = 0;
+const buffer = [];
+
+const getLastEventId = () => `${EPOCH}-${sequence}`;
+
+/**
+ * Store an event in the replay buffer and send it to every open stream
+ */
+function publishStatusEvent(type, data) {
+  sequence += 1;
+  const event = { id: `${EPOCH}-${sequence}`, sequence, type, data };
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) {
+    buffer.shift();
+  }
+  eventBus.emit('status', event);
+  return event;
+}
+
+/**
+ * Events published after the given ID, or null when they are no longer available
+ * (ID from another server process, or older than the buffer) and a new snapshot is needed
+ */
+function getEventsSince(lastEventId) {
+  const [epoch, value] = String(lastEventId).split('-');
+  const lastSequence = parseInt(value, 10);
+  if (epoch !== EPOCH || !(lastSequence >= 0) || lastSequence > sequence) {
+    return null;
+  }
+  if (lastSequence < sequence && (buffer.length === 0 || buffer[0].sequence > lastSequence + 1)) {
+    return null;
+  }
+  return buffer.filter(event => event.sequence > lastSequence);
+}
+
+/**
+ * Status entries of all users (optionally of one team) with merged features and open commands
+ */
+async function buildStatusSnapshot({ teamId = null } = {}) {
+  const query = teamId ? { team: teamId } : {};
+  const users = await User.find(query).populate('team', 'name');
+  const [openCommands, resolveFeatures] = await Promise.all([
+    BotCommand.getOpenTypesByUser(users.map(user => user._id)),
+    createFeatureResolver()
+  ]);
+
+  const now = new Date();
+  const statuses = [];
+  for (const user of users) {
+    const { flags } = await resolveFeatures(user);
+    statuses.push({
+      ...buildUserStatus(user, now),
+      features: flags,
+      pendingCommands: openCommands.get(user._id.toString()) || []
+    });
+  }
+  return statuses;
+}
+
+/**
+ * Publish the current status of one user. reason describes what changed (heartbeat, online, offline, login, ...).
+ * Never throws - a failed update must not fail the request that triggered it.
+ */
+async function publishUserStatus(userId, reason) {
+  try {
+    const user = await User.findById(userId).populate('team', 'name');
+    if (!user) return;
+
+    const [openCommands, resolveFeatures] = await Promise.all([
+      BotCommand.getOpenTypesByUser([user._id]),
+      createFeatureResolver()
+    ]);
+    const { flags } = await resolveFeatures(user);
+
+    publishStatusEvent('status', {
+      reason,
+      ...buildUserStatus(user),
+      features: flags,
+      pendingCommands: openCommands.get(user._id.toString()) || []
+    });
+  } catch (error) {
+    console.error('Publish user status error:', error);
+  }
+}
+
+/**
+ * Publish the current status of every user matching the filter (e.g. { team } after a team feature change).
+ * Never throws, like publishUserStatus.
+ */
+async function publishUsersStatus(filter, reason) {
+  try {
+    const users = await User.find(filter).populate('team', 'name');
+    if (users.length === 0) return;
+
+    const [openCommands, resolveFeatures] = await Promise.all([
+      BotCommand.getOpenTypesByUser(users.map(user => user._id)),
+      createFeatureResolver()
+    ]);
+
+    const now = new Date();
+    for (const user of users) {
+      const { flags } = await resolveFeatures(user);
+      publishStatusEvent('status', {
+        reason,
+        ...buildUserStatus(user, now),
+        features: flags,
+        pendingCommands: openCommands.get(user._id.toString()) || []
+      });
+    }
+  } catch (error) {
+    console.error('Publish users status error:', error);
+  }
+}
+
+/**
+ * A deleted user disappears from the stream. With reason "teamChanged" the user only leaves the
+ * streams filtered to its previous team (teamId); the following status event carries the new team.
+ */
+function publishUserRemoved(user, { teamId, reason = 'deleted' } = {}) {
+  const previousTeam = teamId !== undefined ? teamId : user.team;
+  publishStatusEvent('removed', {
+    reason,
+    userId: user._id.toString(),
+    teamId: previousTeam ? (previousTeam._id || previousTeam).toString() : null
+  });
+}
+
+module.exports = {
+  getLastEventId,
+  getEventsSince,
+  buildStatusSnapshot,
+  publishStatusEvent,
+  publishUserStatus,
+  publishUsersStatus,
+  publishUserRemoved
+};
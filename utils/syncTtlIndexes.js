@@ -0,0 +1,41 @@
+const PhoneAssignment = require('../models/PhoneAssignment');
+const Telemetry = require('../models/Telemetry');
+
+// Retention settings backed by a TTL index on a single date field
+const TTL_INDEXES = [
+  { Model: PhoneAssignment, field: 'assignedAt', setting: 'PHONE_ASSIGNMENT_RETENTION_DAYS' },
+  { Model: Telemetry, field: 'createdAt', setting: 'TELEMETRY_RETENTION_DAYS' }
+];
+
+// MongoDB keeps the expireAfterSeconds an index was created with. When a retention setting changes,
+// autoIndex fails with an options conflict, so the existing index is updated with collMod instead.
+const syncTtlIndexes = async () => {
+  for (const { Model, field, setting } of TTL_INDEXES) {
+    try {
+      // Creates the index on a fresh collection; rejects when the existing index has another TTL
+      await Model.init().catch(() => {});
+
+      const expireAfterSeconds = Model.getRetentionDays() * 24 * 60 * 60;
+      const indexes = await Model.collection.indexes();
+      const index = indexes.find(candidate =>
+        Object.keys(candidate.key).length === 1 &&
+        candidate.key[field] === 1 &&
+        candidate.expireAfterSeconds !== undefined
+      );
+
+      if (!index) {
+        await Model.collection.createIndex({ [field]: 1 }, { expireAfterSeconds });
+      } else if (index.expireAfterSeconds !== expireAfterSeconds) {
+        await Model.db.db.command({
+          collMod: Model.collection.collectionName,
+          index: { keyPattern: { [field]: 1 }, expireAfterSeconds }
+        });
+        console.log(`${setting}: ${Model.modelName} TTL changed from ${index.expireAfterSeconds}s to ${expireAfterSeconds}s`);
+      }
+    } catch (error) {
+      console.error(`Error applying ${setting} to the ${Model.modelName} TTL index:`, error);
+    }
+  }
+};
+
+module.exports = syncTtlIndexes;
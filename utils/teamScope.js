@@ -0,0 +1,43 @@
+const User = require('../models/User');
+const { hasPermission } = require('./permissions');
+
+/**
+ * Get the team scope of the current user.
+ * Returns null when the user may access every team, otherwise { teamId } (teamId is null for users without a team).
+ */
+async function getTeamScope(req) {
+  if (await hasPermission(req.user.role, 'scope.allTeams')) {
+    return null;
+  }
+
+  const currentUser = await User.findById(req.user.id).select('team');
+  return { teamId: currentUser && currentUser.team ? currentUser.team : null };
+}
+
+/**
+ * Check whether a user document belongs to the scope
+ */
+function isUserInScope(scope, user) {
+  if (!scope) return true;
+  if (!scope.teamId || !user || !user.team) return false;
+
+  const teamId = user.team._id || user.team;
+  return teamId.toString() === scope.teamId.toString();
+}
+
+/**
+ * Get IDs of users inside the scope, or null when unrestricted
+ */
+async function getScopedUserIds(scope) {
+  if (!scope) return null;
+  if (!scope.teamId) return [];
+
+  const members = await User.find({ team: scope.teamId }).select('_id');
+  return members.map(member => member._id);
+}
+
+module.exports = {
+  getTeamScope,
+  isUserInScope,
+  getScopedUserIds
+};
@@ -0,0 +1,56 @@
+const Setting = require('../models/Setting');
+const { verifyCode, hashRecoveryCode } = require('./totp');
+
+const REQUIRED_ROLES_KEY = 'twoFactor.requiredRoles';
+const DEFAULT_REQUIRED_ROLES = ['Admin', 'Audit'];
+
+/**
+ * Get roles that must use two-factor authentication
+ */
+async function getTwoFactorRequiredRoles() {
+  return await Setting.getValue(REQUIRED_ROLES_KEY, DEFAULT_REQUIRED_ROLES);
+}
+
+async function setTwoFactorRequiredRoles(roles, updatedBy) {
+  await Setting.setValue(REQUIRED_ROLES_KEY, roles, updatedBy);
+}
+
+async function isTwoFactorRequired(user) {
+  const roles = await getTwoFactorRequiredRoles();
+  return roles.includes(user.role);
+}
+
+/**
+ * Verify a TOTP code or a recovery code for a user with 2FA enabled.
+ * Updates the user document (last used step / consumed recovery code) but does not save it.
+ * Returns 'totp', 'recovery', or null.
+ */
+function verifySecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    const step = verifyCode(user.twoFactorSecret, String(code));
+    // Reject a code that was already used (replay within the time window)
+    if (step !== null && (user.twoFactorLastStep === null || step > user.twoFactorLastStep)) {
+      user.twoFactorLastStep = step;
+      return 'totp';
+    }
+    return null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(String(recoveryCode));
+    const index = user.twoFactorRecoveryCodes.indexOf(hash);
+    if (index !== -1) {
+      user.twoFactorRecoveryCodes.splice(index, 1);
+      return 'recovery';
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  getTwoFactorRequiredRoles,
+  setTwoFactorRequiredRoles,
+  isTwoFactorRequired,
+  verifySecondFactor
+};
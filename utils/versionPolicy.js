@@ -0,0 +1,89 @@
+const Setting = require('../models/Setting');
+
+const VERSION_POLICY_KEY = 'clientVersion.policy';
+const DEFAULT_VERSION_POLICY = {
+  minimumVersion: null,
+  blockedVersions: [],
+  recommendedVersion: null,
+  downloadNote: ''
+};
+
+// Accepts versions such as 1.2, 1.2.3 or v1.2.3.4
+const VERSION_PATTERN = /^v?\d+(\.\d+){0,3}$/;
+
+const isValidVersion = (version) => typeof version === 'string' && VERSION_PATTERN.test(version.trim());
+
+const normalizeVersion = (version) => String(version).trim().replace(/^v/i, '');
+
+/**
+ * Compare two version strings part by part (missing parts count as 0).
+ * Returns -1, 0 or 1.
+ */
+function compareVersions(a, b) {
+  const partsA = normalizeVersion(a).split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = normalizeVersion(b).split('.').map(part => parseInt(part, 10) || 0);
+  const length = Math.max(partsA.length, partsB.length);
+
+  for (let i = 0; i < length; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff > 0 ? 1 : -1;
+  }
+  return 0;
+}
+
+async function getVersionPolicy() {
+  const policy = await Setting.getValue(VERSION_POLICY_KEY, DEFAULT_VERSION_POLICY);
+  return { ...DEFAULT_VERSION_POLICY, ...policy };
+}
+
+async function setVersionPolicy(policy, updatedBy) {
+  await Setting.setValue(VERSION_POLICY_KEY, policy, updatedBy);
+}
+
+/**
+ * Check a reported client version against the policy.
+ * Returns { allowed, reason, updateRequired, updateAvailable }
+ */
+function checkClientVersion(version, policy) {
+  const result = { allowed: true, reason: null, updateRequired: false, updateAvailable: false };
+
+  if (!isValidVersion(version)) {
+    // Without a readable version we cannot prove the client meets the minimum
+    if (policy.minimumVersion) {
+      return { ...result, allowed: false, reason: 'version_unknown', updateRequired: true };
+    }
+    return result;
+  }
+
+  if (policy.blockedVersions.some(blocked => compareVersions(blocked, version) === 0)) {
+    return { ...result, allowed: false, reason: 'version_blocked', updateRequired: true };
+  }
+
+  if (policy.minimumVersion && compareVersions(version, policy.minimumVersion) < 0) {
+    return { ...result, allowed: false, reason: 'version_too_old', updateRequired: true };
+  }
+
+  if (policy.recommendedVersion && compareVersions(version, policy.recommendedVersion) < 0) {
+    result.updateAvailable = true;
+  }
+
+  return result;
+}
+
+// Update information sent to bots that need (or should get) a new version
+function buildUpdateInfo(policy) {
+  return {
+    minimumVersion: policy.minimumVersion,
+    recommendedVersion: policy.recommendedVersion,
+    downloadNote: policy.downloadNote
+  };
+}
+
+module.exports = {
+  isValidVersion,
+  compareVersions,
+  getVersionPolicy,
+  setVersionPolicy,
+  checkClientVersion,
+  buildUpdateInfo
+};
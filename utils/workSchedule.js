@@ -0,0 +1,75 @@
+const WorkSchedule = require('../models/WorkSchedule');
+const { getBangkokTime, formatBangkokDate } = require('./dateHelper');
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check whether the given moment falls inside a schedule's working windows (Bangkok time).
+ * A missing or disabled schedule means there is no restriction.
+ */
+function isWithinSchedule(schedule, now = new Date()) {
+  if (!schedule || !schedule.enabled) return true;
+
+  const today = getBangkokTime(now);
+  const yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000);
+  const holidays = new Set(schedule.holidays.map(holiday => holiday.date));
+  const isWorkingDay = (days, date) => !holidays.has(formatBangkokDate(date)) && days.includes(date.getDay());
+  const minutes = today.getHours() * 60 + today.getMinutes();
+
+  return schedule.windows.some(window => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+
+    if (start < end) {
+      return isWorkingDay(window.days, today) && minutes >= start && minutes < end;
+    }
+
+    // Overnight window - belongs to the day it starts on
+    return (isWorkingDay(window.days, today) && minutes >= start) ||
+      (isWorkingDay(window.days, yesterday) && minutes < end);
+  });
+}
+
+/**
+ * Load all schedules and return a lookup of the schedule that applies to a user. Used to check many users at once.
+ * A user schedule always overrides the team schedule - a disabled user schedule leaves that user unrestricted.
+ */
+async function createScheduleLookup() {
+  const schedules = await WorkSchedule.find({ $or: [{ scope: 'user' }, { enabled: true }] });
+  const byUser = new Map();
+  const byTeam = new Map();
+  for (const schedule of schedules) {
+    if (schedule.scope === 'user' && schedule.user) {
+      byUser.set(schedule.user.toString(), schedule);
+    } else if (schedule.scope === 'team' && schedule.team) {
+      byTeam.set(schedule.team.toString(), schedule);
+    }
+  }
+
+  return (user) => {
+    const userSchedule = byUser.get(user._id.toString());
+    if (userSchedule) return userSchedule;
+    if (!user.team) return null;
+    return byTeam.get((user.team._id || user.team).toString()) || null;
+  };
+}
+
+/**
+ * Get the schedule that applies to a user (same precedence as createScheduleLookup),
+ * or null when neither the user nor the team has one. A disabled schedule does not restrict.
+ */
+async function getEffectiveSchedule(user) {
+  const userSchedule = await WorkSchedule.findOne({ scope: 'user', user: user._id });
+  if (userSchedule) return userSchedule;
+  if (!user.team) return null;
+  return await WorkSchedule.findOne({ scope: 'team', team: user.team._id || user.team, enabled: true });
+}
+
+module.exports = {
+  isWithinSchedule,
+  createScheduleLookup,
+  getEffectiveSchedule
+};